@@ -10,6 +10,16 @@ public protocol APMDataUploader {
     func upload(data: [APMRecordable], completion: @escaping (Bool) -> Void)
 }
 
+// JS Agent 注入的 frame 范围
+public enum APMFrameInjection {
+    /// 只注入主 frame
+    case mainFrameOnly
+    /// 注入主 frame 及所有子 frame
+    case allFrames
+    /// 注入主 frame 及 origin 匹配的子 frame：字符串按完整 origin (如 "https://pay.example.com") 精确匹配，"/.../" 形式按正则匹配 (需自行锚定首尾)
+    case allowedOrigins([String])
+}
+
 // SDK 配置结构体
 public struct APMConfiguration {
     /// 必需：实现数据上报逻辑的对象
@@ -30,6 +40,18 @@ public struct APMConfiguration {
     /// JS 与 Native 通信的 WKScriptMessageHandler 名称 (默认 "apmHandler")
     let messageHandlerName: String
 
+    /// 注入内置 JS Agent 的运行时配置 (默认空，即使用 Agent 内的默认配置)
+    /// 必须可被 JSONSerialization 序列化，结构与 JavaScriptAgent.js 中的 DEFAULT_CONFIG 一致，例如:
+    /// ["collectors": ["resource": false], "api": ["denyUrls": ["/health"]], "sampling": ["apiCall": 0.5]]
+    let agentConfig: [String: Any]
+
+    /// JS Agent 注入的 frame 范围 (默认只注入主 frame)
+    /// 注入子 frame 后，同源子 frame 的记录经由顶层页面的 Agent 批量发送，跨域子 frame 单独发送
+    let frameInjection: APMFrameInjection
+
+    /// (可选) 收到 BudgetViolationRecord 时在主线程回调，可用于弹出提醒或显示调试浮层；记录本身仍会正常上报
+    let budgetViolationHandler: ((BudgetViolationRecord) -> Void)?
+
     /// 初始化配置
     /// - Parameters:
     ///   - dataUploader: 实现 APMDataUploader 协议的对象
@@ -38,13 +60,19 @@ public struct APMConfiguration {
     ///   - isEnabled: SDK 是否启用 (默认 true)
     ///   - jsAgentScript: 自定义 JS 脚本 (默认 nil)
     ///   - messageHandlerName: JS 通信 Handler 名称 (默认 "apmHandler")
+    ///   - agentConfig: JS Agent 运行时配置 (默认空)
+    ///   - frameInjection: JS Agent 注入的 frame 范围 (默认 .mainFrameOnly)
+    ///   - budgetViolationHandler: 性能预算超出时的回调 (默认 nil)
     public init(
         dataUploader: APMDataUploader,
         batchSize: Int = 50,
         uploadInterval: TimeInterval = 60.0,
         isEnabled: Bool = true,
         jsAgentScript: String? = nil,
-        messageHandlerName: String = "apmHandler"
+        messageHandlerName: String = "apmHandler",
+        agentConfig: [String: Any] = [:],
+        frameInjection: APMFrameInjection = .mainFrameOnly,
+        budgetViolationHandler: ((BudgetViolationRecord) -> Void)? = nil
     ) {
         self.dataUploader = dataUploader
         self.batchSize = max(1, batchSize) // 保证至少为 1
@@ -53,5 +81,8 @@ public struct APMConfiguration {
         self.jsAgentScript = jsAgentScript
         // 确保 handler 名称不为空
         self.messageHandlerName = messageHandlerName.isEmpty ? "apmHandler" : messageHandlerName
+        self.agentConfig = agentConfig
+        self.frameInjection = frameInjection
+        self.budgetViolationHandler = budgetViolationHandler
     }
 } 
\ No newline at end of file
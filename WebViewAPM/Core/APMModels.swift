@@ -1,23 +1,69 @@
 import Foundation
 
+// 时间基准：内置 JS Agent 以 performance.timeOrigin (页面导航开始时的 Unix 毫秒时间) 作为每个页面唯一的墙上时钟锚点
+// - timestamp: 记录产生时的 Unix 时间 (秒)，等于 (timeOrigin + hrTime) / 1000，页面内单调递增，不受设备时钟跳变影响
+// - hrTime、startTime、fetchStart、responseEnd 及 PageLoadRecord 的各时间点: 相对 timeOrigin 的毫秒数 (performance.now() 时基)
+// - duration、connectTime、ttfb 等耗时字段: 毫秒时长，与时钟无关
+// 同一页面的记录可以按 timeOrigin + startTime 还原到同一时间轴上，构建导航、资源与 API 调用的瀑布图
+
 // 通用记录协议，所有监控记录都应遵循
 public protocol APMRecordable: Codable {
     var recordType: APMRecordType { get }
     var id: UUID { get } // 添加唯一标识符
     var timestamp: TimeInterval { get } // Unix timestamp (e.g., Date().timeIntervalSince1970)
+    var stamp: APMRecordStamp? { get } // 内置 JS Agent 附加的通用字段，自定义 Agent 或旧版本 Agent 的记录中为 nil
     // 可以添加通用字段，如 appVersion, osVersion, deviceModel, userID 等
 }
 
+// 自定义的 APMRecordable 实现无需提供 stamp
+extension APMRecordable {
+    public var stamp: APMRecordStamp? { nil }
+}
+
+// 内置 JS Agent 为每条记录附加的会话、页面浏览标识、时间基准与 frame 归属
+// JS 端与记录自身字段位于同一层级，MessageHandlerDelegate 解码前将其归入记录的 stamp
+public struct APMRecordStamp: Codable {
+    public let sessionId: String? // 会话 ID，同一 WebView 内多次加载页面共享，长时间无活动后重新生成
+    public let pageViewId: String? // 页面浏览 ID，每次加载、SPA 路由变化及 bfcache 恢复时重新生成
+    public let timeSinceNavigation: Double? // 记录产生时距当前页面浏览开始的时间 (ms)
+    public let timeOrigin: Double? // 页面的墙上时钟锚点 (performance.timeOrigin，Unix 毫秒)，同一页面的记录相同
+    public let hrTime: Double? // 记录产生时相对 timeOrigin 的时间 (ms)
+    // 产生记录的 frame，Agent 注入子 frame 时用于区分主文档与嵌入的 iframe
+    public let frameId: String? // frame ID，每个 frame 中的 Agent 实例启动时生成
+    public let parentFrameId: String? // 父 frame 的 frameId，父 frame 跨域或未运行 Agent 时为 nil
+    public let isMainFrame: Bool? // 是否为主 frame
+    public let frameUrl: String? // 记录产生时 frame 的 URL (已脱敏)
+    public let frameOrigin: String? // frame 的 origin
+    public let parentOrigin: String? // 父 frame 的 origin，主 frame 为 nil
+
+    enum CodingKeys: String, CodingKey, CaseIterable {
+        case sessionId, pageViewId, timeSinceNavigation, timeOrigin, hrTime
+        case frameId, parentFrameId, isMainFrame, frameUrl, frameOrigin, parentOrigin
+    }
+}
+
 // 记录类型枚举
 public enum APMRecordType: String, Codable {
     case pageLoad
     case jsError
     case apiCall
     case resourceLoad
+    case spaNavigation
+    case webVitals
+    case customEvent
+    case customTiming
+    case resourceError
+    case longTask
+    case webSocket
+    case eventSource
+    case lifecycle
+    case runtimeSample
+    case interaction
+    case budgetViolation
     // 可以根据需要扩展更多类型
 }
 
-// 页面加载性能记录 (添加详细 H5 阶段时间点)
+// 页面加载性能记录 (添加详细 H5 阶段时间点)，各时间点均为相对 timeOrigin 的毫秒数
 public struct PageLoadRecord: APMRecordable {
     public let recordType: APMRecordType = .pageLoad
     public let id: UUID = UUID()
@@ -87,6 +133,12 @@ public struct PageLoadRecord: APMRecordable {
     /// 解码后的响应体大小 (bytes)
     public let decodedBodySize: Double?
 
+    /// Total Blocking Time: FCP 到 loadEventEnd 之间长任务超出 50ms 部分之和 (ms)
+    /// 长任务采集器关闭或缺少 FCP 时为 nil
+    public let totalBlockingTime: Double?
+
+    public let stamp: APMRecordStamp?
+
     // 明确 CodingKeys，包含所有新字段
     enum CodingKeys: String, CodingKey {
         // 原有核心字段 (不含 recordType, id)
@@ -98,6 +150,9 @@ public struct PageLoadRecord: APMRecordable {
         case domContentLoadedEventStart, domComplete, loadEventStart
         // Level 2 Only
         case workerStart, transferSize, encodedBodySize, decodedBodySize
+        // 主线程阻塞
+        case totalBlockingTime
+        case stamp
     }
 }
 
@@ -112,13 +167,69 @@ public struct JSErrorRecord: APMRecordable {
     public let line: Int?
     public let column: Int?
     public let errorType: String?
+    /// 相同指纹的错误合并后的出现次数
+    public let count: Int?
+    /// 是否由页面通过 WebViewAPM.captureException 主动上报
+    public let handled: Bool?
+    /// 主动上报时附带的用户上下文
+    public let context: APMEventContext?
+    /// 错误来源: onerror / unhandledrejection / console / csp / captureException
+    public let source: String?
+    /// 由归一化调用栈计算的指纹 (8 位十六进制)，可用于错误聚合
+    public let fingerprint: String?
+    /// 由 stack 解析出的调用帧，栈顶在前
+    public let frames: [StackFrame]?
+    /// 错误发生前最近的用户行为，按时间先后排列
+    public let breadcrumbs: [Breadcrumb]?
+    /// CSP 违规详情，仅 source 为 csp 时存在
+    public let csp: CSPViolation?
+    /// 错误发生在某次用户交互的观察期间时，对应 InteractionRecord 的 interactionId
+    public let interactionId: String?
+
+    public struct StackFrame: Codable {
+        public let functionName: String?
+        public let file: String?
+        public let line: Int?
+        public let column: Int?
+    }
+
+    public struct Breadcrumb: Codable {
+        public let timestamp: TimeInterval
+        /// click / navigation / api / console
+        public let category: String
+        /// info / warning / error
+        public let level: String
+        /// 点击元素的选择器、路由变化的触发方式、API 的方法与状态码或 console 输出
+        public let message: String?
+        public let url: String?
+    }
+
+    public struct CSPViolation: Codable {
+        public let blockedUrl: String?
+        public let violatedDirective: String?
+        public let effectiveDirective: String?
+        /// enforce / report
+        public let disposition: String?
+        public let sample: String?
+    }
+
+    public let stamp: APMRecordStamp?
 
     // 明确 CodingKeys
     enum CodingKeys: String, CodingKey {
-        case timestamp, message, stack, url, line, column, errorType
+        case timestamp, message, stack, url, line, column, errorType, count, handled, context
+        case source, fingerprint, frames, breadcrumbs, csp, interactionId
+        case stamp
     }
 }
 
+// 页面通过 WebViewAPM.setUser / setTag / setContext 设置的上下文，所有值均已在 JS 中转换为字符串
+public struct APMEventContext: Codable {
+    public let user: [String: String]?
+    public let tags: [String: String]?
+    public let extra: [String: String]?
+}
+
 // API 调用记录
 public struct ApiCallRecord: APMRecordable {
     public let recordType: APMRecordType = .apiCall
@@ -126,17 +237,138 @@ public struct ApiCallRecord: APMRecordable {
     public let timestamp: TimeInterval
     public let url: String
     public let method: String
+    /// 请求发起时的 SPA 路由 (pathname + hash)
+    public let route: String?
+    /// 触发该请求的用户交互，对应 InteractionRecord 的 interactionId
+    public let interactionId: String?
+    /// 注入追踪 Header 时生成的 trace ID (32 位十六进制)，未注入时为 nil
+    public let traceId: String?
+    /// 注入追踪 Header 时生成的 span ID (16 位十六进制)，未注入时为 nil
+    public let spanId: String?
+    /// GraphQL 请求的操作名
+    public let graphqlOperationName: String?
+    /// GraphQL 请求的操作类型: query / mutation / subscription
+    public let graphqlOperationType: String?
+    /// 请求发起时间，相对 timeOrigin (ms)
     public let startTime: Double
+    /// 从发起到响应结束或失败的耗时 (ms)
     public let duration: Double
     public let statusCode: Int?
+    /// 请求体大小 (bytes)，ReadableStream 等无法得知大小时为 nil
     public let requestSize: Int?
+    /// 解码后的响应体大小 (bytes)，无法读取响应体且没有可用的 Resource Timing 条目时为 nil
     public let responseSize: Int?
+    /// 响应的 Content-Length Header (编码后的大小)，没有该 Header 时为 nil
+    public let contentLength: Int?
     public let success: Bool
     public let errorMessage: String?
 
+    // --- 对应 Resource Timing 条目的各阶段耗时 (ms)，无法关联或跨域无 TAO 时为 nil ---
+    public let dnsTime: Double?
+    public let connectTime: Double?
+    public let tlsTime: Double?
+    public let ttfb: Double?
+    public let downloadTime: Double?
+    public let nextHopProtocol: String?
+    /// 网络传输大小 (bytes)
+    public let transferSize: Int?
+
+    // --- 按配置采集的详细信息 ---
+    /// 配置中指定的请求 Header (名称为小写)
+    public let requestHeaders: [String: String]?
+    /// 配置中指定的响应 Header (名称为小写)
+    public let responseHeaders: [String: String]?
+    /// 失败请求的请求体样本 (已脱敏、截断)
+    public let requestBodySample: String?
+    /// 失败请求的响应体样本 (已脱敏、截断)
+    public let responseBodySample: String?
+    /// 是否为 navigator.sendBeacon 请求；beacon 无法获取响应，success 表示是否成功加入发送队列
+    public let beacon: Bool?
+
+    public let stamp: APMRecordStamp?
+
     // 明确 CodingKeys
     enum CodingKeys: String, CodingKey {
-        case timestamp, url, method, startTime, duration, statusCode, requestSize, responseSize, success, errorMessage
+        case timestamp, url, method, route, interactionId, traceId, spanId, graphqlOperationName, graphqlOperationType
+        case startTime, duration, statusCode, requestSize, responseSize, contentLength, success, errorMessage
+        case dnsTime, connectTime, tlsTime, ttfb, downloadTime, nextHopProtocol, transferSize
+        case requestHeaders, responseHeaders, requestBodySample, responseBodySample, beacon
+        case stamp
+    }
+}
+
+// WebSocket 连接记录，在连接关闭或页面卸载时上报
+public struct WebSocketRecord: APMRecordable {
+    public let recordType: APMRecordType = .webSocket
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let url: String
+    /// 创建连接时的 SPA 路由 (pathname + hash)
+    public let route: String?
+    /// 服务端选择的子协议
+    public let protocolName: String?
+    /// 创建连接的时间，相对 timeOrigin (ms)
+    public let startTime: Double
+    /// 从创建到 open 事件的耗时 (ms)，未连接成功时为 nil
+    public let connectTime: Double?
+    /// 连接存活时长 (ms)
+    public let duration: Double
+    /// 最后一条收到的消息距上报时的时间 (ms)，从未收到消息时为 nil
+    public let idleTime: Double?
+    /// 结束原因: closed / failed (未连接成功即关闭) / pagehide (页面卸载时仍处于连接中)
+    public let endReason: String
+    public let closeCode: Int?
+    public let closeReason: String?
+    public let wasClean: Bool?
+    public let messagesSent: Int
+    public let messagesReceived: Int
+    public let bytesSent: Int
+    public let bytesReceived: Int
+    public let errorCount: Int
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, url, route
+        case protocolName = "protocol"
+        case startTime, connectTime, duration, idleTime, endReason, closeCode, closeReason, wasClean
+        case messagesSent, messagesReceived, bytesSent, bytesReceived, errorCount
+        case stamp
+    }
+}
+
+// EventSource (SSE) 连接记录，在 close()、放弃重连或页面卸载时上报
+public struct EventSourceRecord: APMRecordable {
+    public let recordType: APMRecordType = .eventSource
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let url: String
+    public let route: String?
+    public let withCredentials: Bool
+    /// 创建连接的时间，相对 timeOrigin (ms)
+    public let startTime: Double
+    /// 从创建到首次 open 事件的耗时 (ms)
+    public let connectTime: Double?
+    /// 从创建到收到第一条事件的耗时 (ms)
+    public let timeToFirstEvent: Double?
+    /// 首次连接之后自动重连的次数
+    public let reconnectCount: Int
+    public let duration: Double
+    public let idleTime: Double?
+    /// 结束原因: closed (页面调用 close) / failed (浏览器放弃重连) / pagehide
+    public let endReason: String
+    public let messagesReceived: Int
+    public let bytesReceived: Int
+    public let errorCount: Int
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, url, route, withCredentials, startTime, connectTime, timeToFirstEvent, reconnectCount
+        case duration, idleTime, endReason, messagesReceived, bytesReceived, errorCount
+        case stamp
     }
 }
 
@@ -147,14 +379,409 @@ public struct ResourceLoadRecord: APMRecordable {
     public let timestamp: TimeInterval
     public let url: String
     public let initiatorType: String
+    /// 资源上报时的 SPA 路由 (pathname + hash)
+    public let route: String?
+    /// startTime、fetchStart、responseEnd 为相对 timeOrigin 的时间 (ms)
     public let startTime: Double
     public let duration: Double
+    public let fetchStart: Double?
+    public let responseEnd: Double?
+
+    // --- 各阶段耗时 (ms)，跨域且无 Timing-Allow-Origin 时为 nil ---
+    /// DNS 查询耗时
+    public let dnsTime: Double?
+    /// TCP 连接耗时 (包含 TLS)
+    public let connectTime: Double?
+    /// TLS 握手耗时
+    public let tlsTime: Double?
+    /// 从发送请求到收到首字节的耗时
+    public let ttfb: Double?
+    /// 响应体下载耗时
+    public let downloadTime: Double?
+
     public let transferSize: Int?
+    public let encodedBodySize: Int?
     public let decodedBodySize: Int?
+    /// 网络协议，如 h2 / http/1.1
+    public let nextHopProtocol: String?
+    /// 是否阻塞渲染: blocking / non-blocking
+    public let renderBlockingStatus: String?
+    /// 是否命中本地缓存 (由 transferSize 推断)，无法判断时为 nil
+    public let cacheHit: Bool?
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, url, initiatorType, route, startTime, duration, fetchStart, responseEnd
+        case dnsTime, connectTime, tlsTime, ttfb, downloadTime
+        case transferSize, encodedBodySize, decodedBodySize, nextHopProtocol, renderBlockingStatus, cacheHit
+        case stamp
+    }
+}
+
+// 长任务 (主线程阻塞) 记录
+public struct LongTaskRecord: APMRecordable {
+    public let recordType: APMRecordType = .longTask
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    /// 数据来源: long-animation-frame / longtask / timer-drift (定时器漂移检测)
+    public let source: String
+    /// 任务开始时间，相对 timeOrigin (ms)
+    public let startTime: Double
+    public let duration: Double
+    /// 阻塞时间：长任务为超出 50ms 的部分，timer-drift 为超出预期检测间隔的部分
+    public let blockingTime: Double
+    /// 阻塞归因，timer-drift 时为空数组
+    public let attribution: [Attribution]
+    public let route: String?
+
+    public struct Attribution: Codable {
+        /// 脚本 URL (longtask 时为容器 iframe 的 src)
+        public let scriptUrl: String?
+        /// 函数名 (仅 long-animation-frame 支持)
+        public let functionName: String?
+        /// 调用方，如事件回调名 (longtask 时为容器名称)
+        public let invoker: String?
+        public let invokerType: String?
+        public let duration: Double?
+    }
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, source, startTime, duration, blockingTime, attribution, route
+        case stamp
+    }
+}
+
+// 运行时健康采样记录，页面在前台时按固定间隔上报
+public struct RuntimeSampleRecord: APMRecordable {
+    public let recordType: APMRecordType = .runtimeSample
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let url: String?
+    public let route: String?
+    /// 本次采样覆盖的时长 (ms)
+    public let sampleDuration: Double
+    /// 内存数据来源: performance.memory / measureUserAgentSpecificMemory，WebKit 通常不提供，此时为 nil
+    public let memorySource: String?
+    /// JS 堆内存 (bytes)
+    public let jsHeapUsed: Int?
+    public let jsHeapTotal: Int?
+    public let jsHeapLimit: Int?
+    public let domNodeCount: Int
+    /// 与上一次采样相比的 DOM 节点增量，首次采样为 nil
+    public let domNodeDelta: Int?
+    /// 采样期间处于滚动或动画状态、测量了帧率的总时长 (ms)，为 0 时帧率相关字段为 nil
+    public let animationTime: Double
+    public let frameCount: Int
+    public let fps: Double?
+    /// 按 60fps 帧预算估算的掉帧数
+    public let droppedFrames: Int
+    /// 掉帧数占应渲染帧数的百分比 (0 ~ 100)
+    public let droppedFramePercent: Double?
+    /// 最长的帧间隔 (ms)
+    public let longestFrame: Double?
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, url, route, sampleDuration, memorySource, jsHeapUsed, jsHeapTotal, jsHeapLimit
+        case domNodeCount, domNodeDelta, animationTime, frameCount, fps, droppedFrames, droppedFramePercent, longestFrame
+        case stamp
+    }
+}
+
+// 资源加载失败记录 (脚本、图片、样式表等)
+public struct ResourceErrorRecord: APMRecordable {
+    public let recordType: APMRecordType = .resourceError
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    /// 加载失败的资源 URL
+    public let url: String?
+    /// 元素标签名，如 script / img / link
+    public let tagName: String
+    /// 元素的 CSS 选择器
+    public let selector: String?
+    /// 元素 outerHTML 片段 (截断)
+    public let outerHTML: String?
+    /// 是否为阻塞渲染的资源
+    public let renderBlocking: Bool
+    public let route: String?
+
+    // --- 对应的 Resource Timing 条目 (如果存在) ---
+    /// 相对 timeOrigin (ms)
+    public let startTime: Double?
+    public let duration: Double?
+    public let transferSize: Int?
+    /// HTTP 状态码 (仅部分 WebKit 版本支持)
+    public let responseStatus: Int?
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, url, tagName, selector, outerHTML, renderBlocking, route
+        case startTime, duration, transferSize, responseStatus
+        case stamp
+    }
+}
+
+// SPA 路由变化（软导航）记录
+public struct SPANavigationRecord: APMRecordable {
+    public let recordType: APMRecordType = .spaNavigation
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    /// 路由变化前的完整 URL
+    public let fromUrl: String?
+    /// 路由变化后的完整 URL
+    public let toUrl: String
+    /// 新路由 (pathname + hash)
+    public let route: String?
+    /// 触发方式: pushState / replaceState / popstate / hashchange
+    public let trigger: String
+    /// 路由变化发生的时间，相对 timeOrigin (ms)
+    public let startTime: Double
+    /// 软导航耗时：从路由变化到最后一次 DOM 变更或网络请求结束 (ms)
+    public let duration: Double
+    /// 结束方式: settled (DOM 与网络静默) / timeout (超过最长等待时间) / interrupted (被下一次路由变化打断)
+    public let settleStatus: String
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, fromUrl, toUrl, route, trigger, startTime, duration, settleStatus
+        case stamp
+    }
+}
+
+// 页面生命周期记录：前后台切换、bfcache 恢复、冻结/恢复与 pagehide
+public struct LifecycleRecord: APMRecordable {
+    public let recordType: APMRecordType = .lifecycle
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    /// 事件: visible / hidden / freeze / resume / pagehide / bfcacheRestore
+    public let event: String
+    public let url: String?
+    public let route: String?
+    /// visible / hidden: 切换前所处状态 (后台 / 前台) 持续的时间 (ms)
+    public let duration: Double?
+    /// pagehide: 页面是否进入 bfcache；bfcacheRestore: 始终为 true
+    public let persisted: Bool?
+    /// pagehide: 当前文档 (或 bfcache 恢复后) 累计的前台时长 (ms)
+    public let foregroundTime: Double?
+    /// pagehide: 当前文档 (或 bfcache 恢复后) 累计的后台时长 (ms)
+    public let backgroundTime: Double?
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, event, url, route, duration, persisted, foregroundTime, backgroundTime
+        case stamp
+    }
+}
+
+// 用户交互记录，每次点击 (连续的 rage click 合并为一次) 上报一条
+public struct InteractionRecord: APMRecordable {
+    public let recordType: APMRecordType = .interaction
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    /// 交互 ID，交互期间发起的 ApiCallRecord 与发生的 JSErrorRecord 带有相同的 interactionId
+    public let interactionId: String
+    /// 交互类型，目前为 click
+    public let type: String
+    public let url: String?
+    public let route: String?
+    /// 点击目标元素的 CSS 选择器
+    public let target: String?
+    /// 首次点击的时间，相对 timeOrigin (ms)
+    public let startTime: Double
+    /// 合并的连续点击次数
+    public let clickCount: Int
+    /// 短时间内在同一区域连续点击达到 rageClickCount 次
+    public let rageClick: Bool
+    /// 点击后没有 DOM 变更、路由变化或网络请求
+    public let deadClick: Bool
+    /// 延迟数据来源: event-timing (Event Timing API) / raf (下一帧估算)
+    public let latencySource: String?
+    /// 从点击到开始处理的延迟 (ms)
+    public let inputDelay: Double?
+    /// 事件处理耗时 (ms)，仅 event-timing 提供
+    public let processingTime: Double?
+    /// 从处理结束到下一帧绘制的耗时 (ms)，仅 event-timing 提供
+    public let presentationDelay: Double?
+    /// 从点击到下一帧绘制的总耗时 (ms)
+    public let duration: Double?
+    /// 交互期间发起的 API 调用数
+    public let apiCallCount: Int
+    /// 交互期间发生的 JS 错误数
+    public let errorCount: Int
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, interactionId, type, url, route, target, startTime, clickCount, rageClick, deadClick
+        case latencySource, inputDelay, processingTime, presentationDelay, duration, apiCallCount, errorCount
+        case stamp
+    }
+}
+
+// 页面通过 WebViewAPM.trackEvent 上报的自定义事件
+public struct CustomEventRecord: APMRecordable {
+    public let recordType: APMRecordType = .customEvent
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let name: String
+    /// 事件属性，值均已转换为字符串
+    public let properties: [String: String]?
+    public let route: String?
+    public let context: APMEventContext?
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, name, properties, route, context
+        case stamp
+    }
+}
+
+// 自定义耗时记录 (User Timing API 的 mark / measure)
+public struct CustomTimingRecord: APMRecordable {
+    public let recordType: APMRecordType = .customTiming
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let name: String
+    /// mark 或 measure
+    public let entryType: String
+    /// mark 的时间点或 measure 的开始时间，相对 timeOrigin (ms)
+    public let startTime: Double
+    public let duration: Double
+    /// performance.mark / measure 的 detail，序列化为 JSON 字符串
+    public let detail: String?
+    /// api: 通过 WebViewAPM.mark / measure 上报; observer: 页面直接调用 performance.measure
+    public let source: String
+    public let route: String?
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, name, entryType, startTime, duration, detail, source, route
+        case stamp
+    }
+}
+
+// Core Web Vitals 记录 (页面进入后台或 pagehide 时上报)
+// 当 WKWebView 不支持某项指标时，对应字段为 nil，原因记录在 unavailableReasons 中
+public struct WebVitalsRecord: APMRecordable {
+    public let recordType: APMRecordType = .webVitals
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let url: String?
+
+    /// Largest Contentful Paint (ms)
+    public let lcp: Double?
+    /// LCP 元素的 CSS 选择器
+    public let lcpElement: String?
+    /// LCP 元素为图片等资源时的资源 URL
+    public let lcpUrl: String?
+    /// LCP 元素的渲染面积
+    public let lcpSize: Double?
+
+    /// Cumulative Layout Shift (会话窗口算法，取最大窗口)
+    public let cls: Double?
+    /// 最大会话窗口中偏移贡献最大的节点
+    public let clsSources: [LayoutShiftSource]?
+
+    /// Interaction to Next Paint (ms)
+    public let inp: Double?
+    /// INP 对应交互的事件类型，如 click / keydown
+    public let inpEventType: String?
+    /// INP 对应交互目标元素的 CSS 选择器
+    public let inpTarget: String?
+    /// 最慢的若干次交互
+    public let longEvents: [EventTiming]?
+
+    /// Time to First Byte (ms)
+    public let ttfb: Double?
+
+    /// 指标名 (lcp / cls / inp / ttfb) 到不可用原因的映射
+    public let unavailableReasons: [String: String]?
+
+    public struct LayoutShiftSource: Codable {
+        public let selector: String
+        public let value: Double
+    }
+
+    public struct EventTiming: Codable {
+        public let eventType: String
+        public let target: String?
+        /// 事件开始时间，相对 timeOrigin (ms)
+        public let startTime: Double
+        public let duration: Double
+        /// 从输入发生到事件处理开始的时间
+        public let inputDelay: Double
+        /// 事件处理函数执行时间
+        public let processingTime: Double
+        /// 事件处理结束到下一帧绘制的时间
+        public let presentationDelay: Double
+    }
+
+    public let stamp: APMRecordStamp?
+
+    // 明确 CodingKeys
+    enum CodingKeys: String, CodingKey {
+        case timestamp, url, lcp, lcpElement, lcpUrl, lcpSize, cls, clsSources
+        case inp, inpEventType, inpTarget, longEvents, ttfb, unavailableReasons
+        case stamp
+    }
+}
+
+// 性能预算超出记录 (agentConfig 的 budgets)，每个预算在一次页面浏览中最多上报一条
+public struct BudgetViolationRecord: APMRecordable {
+    public let recordType: APMRecordType = .budgetViolation
+    public let id: UUID = UUID()
+    public let timestamp: TimeInterval
+    public let url: String?
+    public let route: String?
+    /// 预算名: metrics.<字段名> / resourceSize.<initiatorType 或 total> / apiLatency.<pattern> / maxFailedRequests
+    public let budget: String
+    /// 超出预算的指标，例如 lcp、transferSize、apiLatencyP95、failedRequests
+    public let metric: String
+    /// 指标的实际值 (ms、bytes 或条数，与 threshold 单位相同)
+    public let value: Double
+    /// 预算上限
+    public let threshold: Double
+    /// apiLatency 预算的 URL 匹配规则
+    public let pattern: String?
+    /// 触发检查的记录类型: pageLoad / webVitals / resourceLoad / apiCall
+    public let sourceRecordType: String
+    /// 对超出贡献最大的资源、请求或元素
+    public let contributors: [Contributor]?
+
+    public struct Contributor: Codable {
+        public let url: String?
+        /// 元素的 CSS 选择器 (LCP、INP、CLS)
+        public let element: String?
+        /// 该项的耗时、大小或偏移值
+        public let value: Double?
+        public let method: String?
+        public let statusCode: Int?
+    }
+
+    public let stamp: APMRecordStamp?
 
     // 明确 CodingKeys
     enum CodingKeys: String, CodingKey {
-        case timestamp, url, initiatorType, startTime, duration, transferSize, decodedBodySize
+        case timestamp, url, route, budget, metric, value, threshold, pattern, sourceRecordType, contributors
+        case stamp
     }
 }
 
@@ -127,6 +127,11 @@ class DataProcessor: MessageHandlerDelegateOutput {
     func didReceiveRecord(_ record: APMRecordable) {
         guard configuration.isEnabled else { return } // 如果 SDK 禁用，则忽略
 
+        // 性能预算超出时立即通知宿主 App，不等待批量上报
+        if let violation = record as? BudgetViolationRecord, let handler = configuration.budgetViolationHandler {
+            DispatchQueue.main.async { handler(violation) }
+        }
+
         queue.async { [weak self] in
             guard let self = self else { return }
             self.buffer.append(record)
@@ -276,6 +281,30 @@ struct AnyRecordWrapper: Codable { // 移除 public
              self.record = try container.decode(ApiCallRecord.self, forKey: .payload) // ApiCallRecord 是 public
         case .resourceLoad:
              self.record = try container.decode(ResourceLoadRecord.self, forKey: .payload) // ResourceLoadRecord 是 public
+        case .spaNavigation:
+             self.record = try container.decode(SPANavigationRecord.self, forKey: .payload)
+        case .webVitals:
+             self.record = try container.decode(WebVitalsRecord.self, forKey: .payload)
+        case .customEvent:
+             self.record = try container.decode(CustomEventRecord.self, forKey: .payload)
+        case .customTiming:
+             self.record = try container.decode(CustomTimingRecord.self, forKey: .payload)
+        case .resourceError:
+             self.record = try container.decode(ResourceErrorRecord.self, forKey: .payload)
+        case .longTask:
+             self.record = try container.decode(LongTaskRecord.self, forKey: .payload)
+        case .webSocket:
+             self.record = try container.decode(WebSocketRecord.self, forKey: .payload)
+        case .eventSource:
+             self.record = try container.decode(EventSourceRecord.self, forKey: .payload)
+        case .lifecycle:
+             self.record = try container.decode(LifecycleRecord.self, forKey: .payload)
+        case .runtimeSample:
+             self.record = try container.decode(RuntimeSampleRecord.self, forKey: .payload)
+        case .interaction:
+             self.record = try container.decode(InteractionRecord.self, forKey: .payload)
+        case .budgetViolation:
+             self.record = try container.decode(BudgetViolationRecord.self, forKey: .payload)
         // 添加其他 case
         }
     }
@@ -295,6 +324,30 @@ struct AnyRecordWrapper: Codable { // 移除 public
              try container.encode(record as? ApiCallRecord, forKey: .payload) // ApiCallRecord 是 public
         case .resourceLoad:
              try container.encode(record as? ResourceLoadRecord, forKey: .payload) // ResourceLoadRecord 是 public
+        case .spaNavigation:
+             try container.encode(record as? SPANavigationRecord, forKey: .payload)
+        case .webVitals:
+             try container.encode(record as? WebVitalsRecord, forKey: .payload)
+        case .customEvent:
+             try container.encode(record as? CustomEventRecord, forKey: .payload)
+        case .customTiming:
+             try container.encode(record as? CustomTimingRecord, forKey: .payload)
+        case .resourceError:
+             try container.encode(record as? ResourceErrorRecord, forKey: .payload)
+        case .longTask:
+             try container.encode(record as? LongTaskRecord, forKey: .payload)
+        case .webSocket:
+             try container.encode(record as? WebSocketRecord, forKey: .payload)
+        case .eventSource:
+             try container.encode(record as? EventSourceRecord, forKey: .payload)
+        case .lifecycle:
+             try container.encode(record as? LifecycleRecord, forKey: .payload)
+        case .runtimeSample:
+             try container.encode(record as? RuntimeSampleRecord, forKey: .payload)
+        case .interaction:
+             try container.encode(record as? InteractionRecord, forKey: .payload)
+        case .budgetViolation:
+             try container.encode(record as? BudgetViolationRecord, forKey: .payload)
          // 添加其他 case
         }
     }
@@ -20,11 +20,32 @@ class MessageHandlerDelegate: NSObject, WKScriptMessageHandler {
     // MARK: - WKScriptMessageHandler
 
     func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage) {
-        // 1. 尝试将消息体转换为 JSON 数据
         // WKScriptMessage.body 是 Any 类型, JS 发送的是对象，通常会是 NSDictionary
-        guard let bodyDict = message.body as? [String: Any],
-              let jsonData = try? JSONSerialization.data(withJSONObject: bodyDict, options: []) else {
-            InternalLogger.log(.error, "无法将消息体序列化为 JSON 数据: \(message.body)")
+        guard let bodyDict = message.body as? [String: Any] else {
+            InternalLogger.log(.error, "无法识别的消息体: \(message.body)")
+            return
+        }
+
+        // JS Agent 默认以 batch 信封批量发送: { type: "batch", data: { records: [{ type, data }], dropped: { recordType: count } } }
+        if bodyDict["type"] as? String == "batch" {
+            let batchData = bodyDict["data"] as? [String: Any]
+            let records = batchData?["records"] as? [[String: Any]] ?? []
+            InternalLogger.log(.debug, "收到批量消息，包含 \(records.count) 条记录。")
+            if let dropped = batchData?["dropped"] as? [String: Int], !dropped.isEmpty {
+                InternalLogger.log(.info, "JS Agent 因采样或限流丢弃的记录数: \(dropped)")
+            }
+            records.forEach { handleRecordBody($0) }
+            return
+        }
+
+        handleRecordBody(bodyDict)
+    }
+
+    // 解析单条 { type, data } 记录并传递给输出代理
+    private func handleRecordBody(_ bodyDict: [String: Any]) {
+        // 1. 尝试将消息体转换为 JSON 数据
+        guard let jsonData = try? JSONSerialization.data(withJSONObject: bodyDict, options: []) else {
+            InternalLogger.log(.error, "无法将消息体序列化为 JSON 数据: \(bodyDict)")
             return
         }
 
@@ -44,8 +65,19 @@ class MessageHandlerDelegate: NSObject, WKScriptMessageHandler {
         }
 
         // 4. 将内部的 'data' 部分重新编码，以便解码为具体的 APMRecordable 类型
+        //    JS Agent 附加的通用字段与记录字段位于同一层级，先归入 stamp
+        var recordData = rawWrapper.data
+        var stampData: [String: Any] = [:]
+        for key in APMRecordStamp.CodingKeys.allCases {
+            if let value = recordData.removeValue(forKey: key.stringValue) {
+                stampData[key.stringValue] = value.value
+            }
+        }
+        if !stampData.isEmpty {
+            recordData["stamp"] = AnyCodable(stampData)
+        }
         let encoder = JSONEncoder()
-        guard let innerJsonData = try? encoder.encode(rawWrapper.data) else {
+        guard let innerJsonData = try? encoder.encode(recordData) else {
              InternalLogger.log(.error, "无法重新编码类型 \(recordType) 的内部数据")
              return
         }
@@ -62,6 +94,30 @@ class MessageHandlerDelegate: NSObject, WKScriptMessageHandler {
                 record = try decoder.decode(ApiCallRecord.self, from: innerJsonData)
             case .resourceLoad:
                 record = try decoder.decode(ResourceLoadRecord.self, from: innerJsonData)
+            case .spaNavigation:
+                record = try decoder.decode(SPANavigationRecord.self, from: innerJsonData)
+            case .webVitals:
+                record = try decoder.decode(WebVitalsRecord.self, from: innerJsonData)
+            case .customEvent:
+                record = try decoder.decode(CustomEventRecord.self, from: innerJsonData)
+            case .customTiming:
+                record = try decoder.decode(CustomTimingRecord.self, from: innerJsonData)
+            case .resourceError:
+                record = try decoder.decode(ResourceErrorRecord.self, from: innerJsonData)
+            case .longTask:
+                record = try decoder.decode(LongTaskRecord.self, from: innerJsonData)
+            case .webSocket:
+                record = try decoder.decode(WebSocketRecord.self, from: innerJsonData)
+            case .eventSource:
+                record = try decoder.decode(EventSourceRecord.self, from: innerJsonData)
+            case .lifecycle:
+                record = try decoder.decode(LifecycleRecord.self, from: innerJsonData)
+            case .runtimeSample:
+                record = try decoder.decode(RuntimeSampleRecord.self, from: innerJsonData)
+            case .interaction:
+                record = try decoder.decode(InteractionRecord.self, from: innerJsonData)
+            case .budgetViolation:
+                record = try decoder.decode(BudgetViolationRecord.self, from: innerJsonData)
             // 在这里添加对未来新类型的 case
             }
 
@@ -40,8 +40,12 @@ public class WebViewAPM {
     private static var dataProcessor: DataProcessor?
     // 使用字典来存储每个 WKWebView 对应的 MessageHandlerDelegate，避免内存泄漏
     private static var messageHandlers = NSMapTable<WKWebView, MessageHandlerDelegate>(keyOptions: .weakMemory, valueOptions: .strongMemory)
+    // 每个 WKWebView 当前注入的 JS Agent User Script，分离时用于替换为禁用版本
+    private static var agentUserScripts = NSMapTable<WKWebView, WKUserScript>(keyOptions: .weakMemory, valueOptions: .strongMemory)
     private static let setupQueue = DispatchQueue(label: "com.webviewapm.setup.queue") // 用于同步配置访问
     private static var defaultJSAgentContent: String? // 缓存 JS 脚本内容
+    // 随 JS Agent 注入的控制令牌，Agent 只接受携带该令牌的配置更新，页面脚本无法读取
+    private static let agentControlToken = UUID().uuidString
 
     // MARK: - Public API
 
@@ -113,13 +117,8 @@ public class WebViewAPM {
             }
 
 
-            // 2. 创建并添加 User Script
-            let userScript = WKUserScript(
-                source: scriptContent,
-                injectionTime: .atDocumentStart, // 必须在 document start 注入
-                forMainFrameOnly: true // 通常只监控主框架
-            )
-            userContentController.addUserScript(userScript)
+            // 2. 创建并添加 User Script (重新附加时替换之前分离留下的禁用版本)
+            replaceAgentUserScript(in: webView, with: makeAgentUserScript(source: scriptContent, config: config))
             InternalLogger.log(.info, "已为 WebView 添加 User Script。")
 
 
@@ -136,31 +135,102 @@ public static func detach(from webView: WKWebView) {
             return
         }
         InternalLogger.log(.info, "正在从 WebView 分离 APM 监控...")
+        let disabledScriptContent = getFinalJavaScriptAgentContent(config: config, disabled: true)
 
         // 在主线程上访问 WKWebView 的 configuration
         DispatchQueue.main.async {
-            let userContentController = webView.configuration.userContentController
-
-            // 移除 Message Handler
-            if messageHandlers.object(forKey: webView) != nil {
-                userContentController.removeScriptMessageHandler(forName: config.messageHandlerName)
-                messageHandlers.removeObject(forKey: webView) // 从我们的记录中移除
-                InternalLogger.log(.info, "已移除 Message Handler: \(config.messageHandlerName)")
+            // 先卸载页面中的 JS Agent (发送剩余记录并恢复被替换的方法)，完成后再移除 Message Handler
+            // evaluateJavaScript 只在主 frame 中执行，同源子 frame 中的 Agent 由主 frame 的 Agent 逐层卸载
+            let teardownScript = "window.__WEBVIEW_APM_AGENT__ && window.__WEBVIEW_APM_AGENT__.teardown();"
+            webView.evaluateJavaScript(teardownScript) { _, error in
+                if let error = error {
+                    InternalLogger.log(.warning, "卸载 JS Agent 失败: \(error)")
+                }
+                removeMessageHandler(from: webView, config: config)
             }
 
-            // 移除 User Script (比较困难，WKWebView 没有直接移除单个脚本的 API)
-            // 通常的做法是移除所有脚本，然后重新添加不需要移除的脚本
-            // 或者，如果注入脚本时可以添加唯一标识符（例如注释），则可以在获取所有脚本后过滤掉目标脚本
-            // 这里简化处理，不主动移除脚本，依赖 WebView 销毁或页面导航
-            InternalLogger.log(.warning, "User Script 无法直接移除，将随着 WebView 导航或销毁而失效。")
+            // 将 User Script 替换为带 disabled 标记的版本，之后页面加载中注入的 Agent 直接退出，
+            // 不会在 Message Handler 已移除的情况下启动并暂存记录
+            replaceAgentUserScript(in: webView, with: disabledScriptContent.map { makeAgentUserScript(source: $0, config: config) })
+            InternalLogger.log(.info, "已将 User Script 替换为禁用版本。")
 
             InternalLogger.log(.info, "完成从 WebView 分离 APM 监控。")
         }
     }
 }
 
+    /// 在不刷新页面的情况下更新已注入 JS Agent 的运行时配置
+    /// - Parameters:
+    ///   - agentConfig: 需要更新的配置项，会与 Agent 当前配置逐层合并
+    ///     (在主 frame 中执行，由 Agent 转交给同源子 frame；跨域子 frame 无法更新)
+    ///   - webView: 已附加 APM 监控的 WKWebView 对象
+    public static func updateAgentConfig(_ agentConfig: [String: Any], for webView: WKWebView) {
+        guard let configJSON = serializeAgentConfig(agentConfig) else { return }
+        let script = "window.__WEBVIEW_APM_AGENT__ && window.__WEBVIEW_APM_AGENT__.updateConfig(\"\(agentControlToken)\", \(configJSON));"
+        DispatchQueue.main.async {
+            webView.evaluateJavaScript(script) { _, error in
+                if let error = error {
+                    InternalLogger.log(.error, "更新 JS Agent 配置失败: \(error)")
+                } else {
+                    InternalLogger.log(.debug, "JS Agent 配置已更新: \(configJSON)")
+                }
+            }
+        }
+    }
+
     // MARK: - Private Helpers
 
+    private static func removeMessageHandler(from webView: WKWebView, config: APMConfiguration) {
+        let userContentController = webView.configuration.userContentController
+
+        // 移除 Message Handler
+        if messageHandlers.object(forKey: webView) != nil {
+            userContentController.removeScriptMessageHandler(forName: config.messageHandlerName)
+            messageHandlers.removeObject(forKey: webView) // 从我们的记录中移除
+            InternalLogger.log(.info, "已移除 Message Handler: \(config.messageHandlerName)")
+        }
+    }
+
+    private static func makeAgentUserScript(source: String, config: APMConfiguration) -> WKUserScript {
+        let forMainFrameOnly: Bool
+        if case .mainFrameOnly = config.frameInjection {
+            forMainFrameOnly = true
+        } else {
+            forMainFrameOnly = false // 子 frame 的 origin 由 JS Agent 按 frames.allowedOrigins 过滤
+        }
+        return WKUserScript(
+            source: source,
+            injectionTime: .atDocumentStart, // 必须在 document start 注入
+            forMainFrameOnly: forMainFrameOnly
+        )
+    }
+
+    // WKUserContentController 没有移除单个 User Script 的 API：移除全部脚本后重新添加其他脚本，再添加新的 Agent 脚本
+    private static func replaceAgentUserScript(in webView: WKWebView, with newScript: WKUserScript?) {
+        let userContentController = webView.configuration.userContentController
+        if let oldScript = agentUserScripts.object(forKey: webView) {
+            let otherScripts = userContentController.userScripts.filter { $0 !== oldScript }
+            userContentController.removeAllUserScripts()
+            otherScripts.forEach { userContentController.addUserScript($0) }
+        }
+        if let newScript = newScript {
+            userContentController.addUserScript(newScript)
+            agentUserScripts.setObject(newScript, forKey: webView)
+        } else {
+            agentUserScripts.removeObject(forKey: webView)
+        }
+    }
+
+    private static func serializeAgentConfig(_ agentConfig: [String: Any]) -> String? {
+        guard JSONSerialization.isValidJSONObject(agentConfig),
+              let data = try? JSONSerialization.data(withJSONObject: agentConfig, options: []),
+              let json = String(data: data, encoding: .utf8) else {
+            InternalLogger.log(.error, "JS Agent 配置无法序列化为 JSON: \(agentConfig)")
+            return nil
+        }
+        return json
+    }
+
     // Checklist Item 10: 实现 JS 注入逻辑 - 加载和准备脚本
     private static func loadJavaScriptAgentContent(config: APMConfiguration) {
         // 如果用户提供了自定义脚本，则优先使用
@@ -187,10 +257,11 @@ public static func detach(from webView: WKWebView) {
         }
     }
 
-    private static func getFinalJavaScriptAgentContent(config: APMConfiguration) -> String? {
-         // 如果使用自定义脚本，直接返回（假设用户已处理占位符或不需要）
+    /// - Parameter disabled: 为 true 时注入 `disabled` 标记，生成的 Agent 不会启动 (用于分离后的 User Script)
+    private static func getFinalJavaScriptAgentContent(config: APMConfiguration, disabled: Bool = false) -> String? {
+         // 如果使用自定义脚本，直接返回（假设用户已处理占位符或不需要）；自定义脚本无法注入 disabled 标记，分离时直接移除
          if config.jsAgentScript != nil {
-             return defaultJSAgentContent // 返回缓存的自定义脚本或 nil
+             return disabled ? nil : defaultJSAgentContent // 返回缓存的自定义脚本或 nil
          }
 
          // 否则，处理内置脚本的占位符
@@ -203,6 +274,21 @@ public static func detach(from webView: WKWebView) {
          let placeholder = "{{MESSAGE_HANDLER_NAME_PLACEHOLDER}}"
          scriptContent = scriptContent.replacingOccurrences(of: placeholder, with: config.messageHandlerName)
          InternalLogger.log(.debug, "JS Agent 脚本占位符已替换为: \(config.messageHandlerName)")
+         scriptContent = scriptContent.replacingOccurrences(of: "{{AGENT_CONTROL_TOKEN_PLACEHOLDER}}", with: agentControlToken)
+
+         // 替换配置占位符 (连同引号替换为 JSON 对象字面量)
+         var agentConfig = config.agentConfig
+         if disabled {
+             agentConfig["disabled"] = true
+         }
+         if case .allowedOrigins(let origins) = config.frameInjection {
+             var frames = agentConfig["frames"] as? [String: Any] ?? [:]
+             frames["allowedOrigins"] = origins
+             agentConfig["frames"] = frames
+         }
+         if let configJSON = serializeAgentConfig(agentConfig) {
+             scriptContent = scriptContent.replacingOccurrences(of: "\"{{AGENT_CONFIG_PLACEHOLDER}}\"", with: configJSON)
+         }
 
          return scriptContent
     }
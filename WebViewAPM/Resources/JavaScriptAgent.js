@@ -6,20 +6,421 @@
 
     // --- 配置 ---
     // 这个值会被 Native 代码动态替换为配置的 Handler 名称
+    // bridge 不存在且没有配置其他传输方式时 Agent 不启动 (见 transport 配置)
     const MESSAGE_HANDLER_NAME = "{{MESSAGE_HANDLER_NAME_PLACEHOLDER}}"; // 例如 'apmHandler'
-    const NATIVE_BRIDGE = window.webkit?.messageHandlers?.[MESSAGE_HANDLER_NAME];
 
-    if (!NATIVE_BRIDGE) {
-        console.error("WebViewAPM Agent: Native bridge not found for handler:", MESSAGE_HANDLER_NAME);
-        return; // 无法与 Native 通信，停止执行
+    // 所有对页面全局对象的修改 (方法替换、事件监听、Observer) 都登记卸载任务，teardown() 时按相反顺序执行
+    const teardownTasks = [];
+    let agentTornDown = false;
+
+    function addTeardownTask(task) {
+        teardownTasks.push(task);
+    }
+
+    // 在 target[name] 被替换后调用；若卸载时该属性已被页面再次包装，则保留页面的包装，Agent 的包装由 agentTornDown 失效
+    function restoreOnTeardown(target, name, original) {
+        const replacement = target[name];
+        addTeardownTask(() => {
+            if (target[name] === replacement) target[name] = original;
+        });
+    }
+
+    function addAgentListener(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        addTeardownTask(() => target.removeEventListener(type, listener, options));
+    }
+
+    // --- 运行时配置 ---
+    // Native 会将下面的占位字符串 (连同引号) 替换为 JSON 配置对象；未替换时使用默认配置
+    // 页面也可以在 Agent 注入前设置 window.__WEBVIEW_APM_CONFIG__，其优先级高于注入的配置，
+    // 但由 Native 注入时始终忽略页面配置中的 PAGE_PROTECTED_SECTIONS，页面脚本不能关闭脱敏或改变上报目的地
+    // (未经 Native 注入、例如运行在普通浏览器中时，页面配置是唯一的配置来源，不做限制)
+    // 运行中由 Native 调用 window.__WEBVIEW_APM_AGENT__.updateConfig(token, partialConfig) 更新配置，无需刷新页面；
+    // token 由 Native 随脚本注入，只保存在 Agent 闭包中，页面脚本无法读取，因此不能借此修改配置
+    const INJECTED_CONFIG = "{{AGENT_CONFIG_PLACEHOLDER}}";
+    const CONTROL_TOKEN = "{{AGENT_CONTROL_TOKEN_PLACEHOLDER}}";
+    const PAGE_PROTECTED_SECTIONS = ['privacy', 'transport'];
+
+    const DEFAULT_CONFIG = {
+        // 各采集器开关
+        collectors: {
+            pageLoad: true,
+            webVitals: true,
+            resource: true,
+            jsError: true,
+            resourceError: true,
+            api: true,
+            webSocket: true,
+            eventSource: true,
+            spa: true,
+            lifecycle: true,
+            longTask: true,
+            runtime: true,
+            interaction: true,
+            userTiming: true // 自动采集页面直接调用的 performance.measure()
+        },
+        // URL 匹配规则：字符串按子串匹配，形如 "/pattern/flags" 的字符串按正则匹配
+        // allowUrls 为空表示不限制；denyUrls 优先于 allowUrls
+        // api 的 URL 规则同样适用于 WebSocket、EventSource 与 sendBeacon
+        api: {
+            allowUrls: [],
+            denyUrls: [],
+            captureRequestHeaders: [], // 需要采集的请求 Header 名称，默认不采集
+            captureResponseHeaders: [], // 需要采集的响应 Header 名称，默认不采集
+            captureBodyOnError: false, // 是否为失败的请求采集请求/响应体样本
+            maxBodySampleLength: 1024, // 请求/响应体样本的最大长度
+            // 样本中字段名包含以下片段 (不区分大小写) 的值会被替换为 [REDACTED]
+            redactBodyKeys: ['password', 'passwd', 'token', 'secret', 'authorization', 'cookie', 'cvv', 'cardnumber']
+        },
+        resource: {
+            allowUrls: [],
+            denyUrls: ['JavaScriptAgent.js'], // 过滤掉自身脚本
+            ignoreInitiatorTypes: ['beacon'] // 过滤掉可能的 beacon 请求（如果使用 Beacon API 上报）
+        },
+        jsError: {
+            captureConsoleErrors: true, // 将页面的 console.error 调用上报为 jsError
+            captureCSPViolations: true, // 将 CSP 违规 (securitypolicyviolation 事件) 上报为 jsError
+            maxBreadcrumbs: 30, // 附加到每条错误的最近用户行为条数，0 表示不采集
+            dedupWindow: 60000 // 相同指纹的错误在该时间窗口内只上报一条，重复次数计入 count (ms)
+        },
+        interaction: {
+            rageClickCount: 3, // 判定为 rage click 的最少连续点击次数
+            rageClickWindow: 1000, // 相邻两次点击的最大间隔 (ms)
+            rageClickRadius: 30, // 连续点击与首次点击位置的最大距离 (px)
+            deadClickTimeout: 1000 // 点击后等待 DOM 变更、路由变化或网络请求的时间 (ms)
+        },
+        runtime: {
+            sampleInterval: 30000 // runtimeSample 的上报间隔 (ms)
+        },
+        // 性能预算：超出时上报 budgetViolation 记录 (立即发送)，每个预算在一次页面浏览中最多上报一次
+        budgets: {
+            // pageLoad / webVitals 记录中数值字段的上限，例如 { lcp: 2500, firstContentfulPaint: 1800, cls: 0.1 }
+            metrics: {},
+            // 按 initiatorType 累计的资源传输大小上限 (bytes)，total 表示所有资源，例如 { script: 500 * 1024 }
+            resourceSize: {},
+            // URL 匹配 pattern (规则同 allowUrls) 的 API 耗时 p95 上限 (ms)，样本数达到 minSamples (默认 5) 后检查
+            // 例如 [{ pattern: "api.example.com/search", p95: 800, minSamples: 10 }]
+            apiLatency: [],
+            maxFailedRequests: null // 失败请求 (apiCall.success 为 false) 的最大条数，null 表示不检查
+        },
+        // 记录的发送方式：按 types 的顺序使用第一个可用的传输方式
+        // - webkit: window.webkit.messageHandlers[handler] (WKWebView)
+        // - javascriptInterface: window[handler].postMessage(JSON 字符串) (Android WebView 的 addJavascriptInterface)
+        // - urlScheme: 通过隐藏 iframe 加载 <urlScheme>://batch?payload=<JSON>
+        // - beacon: 通过 navigator.sendBeacon 将 JSON 发送到 beaconUrl，用于普通浏览器
+        // 所有传输方式都不可用或发送失败时，记录暂存在页面内，可用后按顺序补发
+        transport: {
+            types: ['webkit', 'javascriptInterface', 'urlScheme', 'beacon'],
+            urlScheme: null, // 例如 "webviewapm"，为空时不使用 urlScheme
+            beaconUrl: null, // 为空时不使用 beacon
+            persist: false, // 是否将暂存的记录写入页面 origin 的 IndexedDB，页面下次加载时补发 (页面脚本可以读取，默认关闭)
+            maxBufferedRecords: 500, // 暂存记录的最大条数，超出时丢弃最早的批次并计入 dropped
+            retryInterval: 5000 // 暂存期间检查传输方式是否可用的间隔 (ms)
+        },
+        // 子 frame 监控 (需要 Native 将 Agent 注入子 frame)
+        frames: {
+            allowedOrigins: [], // 允许启动 Agent 的子 frame origin (完整 origin 精确匹配，或 "/.../" 正则)；为空表示不限制
+            relay: true // 同源子 frame 的记录交给最外层同源祖先 frame 的 Agent 批量发送
+        },
+        session: {
+            inactivityTimeout: 30 * 60 * 1000 // 超过该时长没有新记录时开始新会话 (ms)
+        },
+        // 分布式追踪 Header 注入
+        tracing: {
+            enabled: false,
+            propagators: ['w3c'], // 可选: w3c (traceparent/tracestate), b3 (单 Header), b3multi (X-B3-*)
+            sameOrigin: true, // 同源请求是否注入
+            allowedOrigins: [], // 允许注入的跨域 origin (完整 origin 精确匹配，或 "/.../" 正则)
+            tracestate: null // W3C tracestate Header 的值
+        },
+        // 隐私脱敏，在记录进入发送队列前执行
+        privacy: {
+            enabled: true,
+            // 值会被替换为 [REDACTED] 的 URL 参数名 (不区分大小写)
+            queryParamDenylist: ['token', 'access_token', 'refresh_token', 'id_token', 'code', 'auth', 'password', 'secret',
+                'key', 'api_key', 'apikey', 'session', 'sessionid', 'sid', 'signature', 'sig'],
+            // 值会被替换为 [REDACTED] 的 Header 名 (不区分大小写)
+            headerDenylist: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-csrf-token'],
+            // 内置规则名 (email / creditCard / jwt / phone) 或自定义规则 { pattern: "/regex/flags", replacement: "[X]" }
+            redactionRules: ['email', 'creditCard', 'jwt', 'phone'],
+            templateUrlPaths: true, // 将 URL 路径中的数字、UUID 等 ID 替换为 :id
+            pathTemplates: [], // 自定义路径模板 { pattern: "/\\/orders\\/[^/]+/", template: "/orders/:orderNo" }，先于内置模板执行
+            strictMode: false, // 严格模式：丢弃不在 allowedFields 中的字符串与对象字段
+            // 严格模式下保留的字段，默认包含 Native 端解码所必需的字段及 Agent 生成的 ID 与结构化字段
+            // (frame 相关字段在脱敏之后附加，不受该列表影响；breadcrumbs 与 csp 含页面文本，默认不保留)
+            allowedFields: ['url', 'route', 'fromUrl', 'toUrl', 'method', 'initiatorType', 'trigger', 'settleStatus',
+                'tagName', 'message', 'errorType', 'name', 'entryType', 'source', 'eventType', 'inpEventType',
+                'graphqlOperationType', 'nextHopProtocol', 'renderBlockingStatus', 'attribution', 'clsSources',
+                'longEvents', 'unavailableReasons', 'fingerprint', 'endReason', 'event', 'target', 'type', 'latencySource',
+                'budget', 'metric', 'pattern', 'sourceRecordType', 'contributors', 'interactionId', 'traceId', 'spanId',
+                'protocol', 'memorySource', 'frames']
+        },
+        // 各记录类型的采样率 (0 ~ 1)，未配置的类型全部上报
+        sampling: {
+            resourceLoad: 1,
+            apiCall: 1
+        },
+        batch: {
+            maxSize: 20, // 队列达到该条数时立即发送
+            flushInterval: 2000 // 队列中最早记录的最长等待时间 (ms)
+        },
+        thresholds: {
+            maxErrorsPerMinute: 30, // 每分钟最多上报的 jsError 条数，超出部分计入 dropped
+            spaQuietWindow: 100, // 软导航在 DOM 与网络均静默多久后视为结束 (ms)
+            spaMaxSettleTime: 10000 // 软导航的最长等待时间 (ms)
+        }
+    };
+
+    // 记录类型 -> 产生该记录的采集器，采集器关闭后对应记录不再上报
+    const RECORD_COLLECTORS = {
+        pageLoad: 'pageLoad',
+        webVitals: 'webVitals',
+        resourceLoad: 'resource',
+        jsError: 'jsError',
+        resourceError: 'resourceError',
+        apiCall: 'api',
+        webSocket: 'webSocket',
+        eventSource: 'eventSource',
+        spaNavigation: 'spa',
+        lifecycle: 'lifecycle',
+        longTask: 'longTask',
+        runtimeSample: 'runtime',
+        interaction: 'interaction'
+    };
+
+    function isPlainObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+
+    function mergeConfig(target, source) {
+        // 对象逐层合并，数组与其他值整体替换
+        if (!isPlainObject(source)) return target;
+        Object.keys(source).forEach(key => {
+            if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+                mergeConfig(target[key], source[key]);
+            } else {
+                target[key] = source[key];
+            }
+        });
+        return target;
+    }
+
+    function getPageConfig() {
+        const pageConfig = window.__WEBVIEW_APM_CONFIG__;
+        if (!isPlainObject(pageConfig) || typeof INJECTED_CONFIG !== 'object') return pageConfig;
+        const result = Object.assign({}, pageConfig);
+        PAGE_PROTECTED_SECTIONS.forEach(section => {
+            delete result[section];
+        });
+        return result;
+    }
+
+    const agentConfig = mergeConfig(mergeConfig(JSON.parse(JSON.stringify(DEFAULT_CONFIG)),
+        typeof INJECTED_CONFIG === 'object' ? INJECTED_CONFIG : null), getPageConfig());
+
+    // Native 分离 WebView 后会把 User Script 替换为带 disabled 标记的版本，之后页面加载中注入的 Agent 不启动
+    // 其他情况下即使暂时没有可用的 transport 也照常启动，记录先暂存，transport 可用后再发送
+    if (typeof INJECTED_CONFIG === 'object' && INJECTED_CONFIG !== null && INJECTED_CONFIG.disabled === true) {
+        console.log("WebViewAPM Agent: Disabled by native, skipping.");
+        return;
+    }
+
+    function isCollectorEnabled(name) {
+        return agentConfig.collectors[name] !== false;
+    }
+
+    function matchesUrlPattern(url, pattern) {
+        if (pattern instanceof RegExp) return pattern.test(url);
+        if (typeof pattern !== 'string' || !pattern) return false;
+        const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+        if (regexMatch) {
+            try {
+                return new RegExp(regexMatch[1], regexMatch[2]).test(url);
+            } catch (e) {
+                console.warn("WebViewAPM Agent: Invalid URL pattern:", pattern);
+                return false;
+            }
+        }
+        return url.includes(pattern);
+    }
+
+    // origin 规则：字符串按完整 origin (scheme://host[:port]) 精确匹配，"/.../" 形式或 RegExp 按正则匹配 (需自行锚定首尾)
+    // 不使用子串匹配，避免 "https://api.example.com" 匹配到 "https://api.example.com.evil.io"
+    function matchesOriginPattern(origin, pattern) {
+        if (pattern instanceof RegExp || (typeof pattern === 'string' && /^\/(.+)\/([a-z]*)$/.test(pattern))) {
+            return matchesUrlPattern(origin, pattern);
+        }
+        if (typeof pattern !== 'string' || !pattern) return false;
+        try {
+            return new URL(pattern).origin === origin;
+        } catch (e) {
+            console.warn("WebViewAPM Agent: Invalid origin pattern:", pattern);
+            return false;
+        }
+    }
+
+    function isUrlAllowed(url, rules) {
+        url = String(url || '');
+        if ((rules.denyUrls || []).some(pattern => matchesUrlPattern(url, pattern))) return false;
+        const allowUrls = rules.allowUrls || [];
+        return allowUrls.length === 0 || allowUrls.some(pattern => matchesUrlPattern(url, pattern));
+    }
+
+    // --- Frame 归属 ---
+    // Native 将 Agent 注入所有 frame 时 (APMConfiguration.frameInjection)，每个 frame 运行独立的 Agent 实例
+    // 每条记录附加 frameId、parentFrameId、isMainFrame、frameUrl、frameOrigin 与 parentOrigin，用于区分主文档与嵌入的支付、广告等 iframe
+    // 子 frame 的 origin 需匹配 frames.allowedOrigins (为空表示不限制)，否则 Agent 不启动
+    const IS_MAIN_FRAME = isMainFrame();
+    const FRAME_ID = randomHex(8);
+    const PARENT_FRAME = getParentFrameInfo(); // { frameId, origin }，主 frame 均为 null
+
+    function isMainFrame() {
+        try {
+            return window.self === window.top;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function getParentFrameInfo() {
+        const info = { frameId: null, origin: null };
+        if (IS_MAIN_FRAME) return info;
+        try {
+            info.origin = (window.location.ancestorOrigins && window.location.ancestorOrigins[0]) || null;
+        } catch (e) { }
+        try {
+            // 跨域父 frame 无法访问，只能得到 origin
+            const parentAgent = window.parent.__WEBVIEW_APM_AGENT__;
+            info.origin = window.parent.location.origin;
+            info.frameId = (parentAgent && parentAgent.frameId) || null;
+        } catch (e) { }
+        if (!info.origin && document.referrer) {
+            try {
+                info.origin = new URL(document.referrer).origin;
+            } catch (e) { }
+        }
+        return info;
+    }
+
+    function isFrameAllowed() {
+        if (IS_MAIN_FRAME) return true;
+        const allowedOrigins = agentConfig.frames.allowedOrigins || [];
+        return allowedOrigins.length === 0 || allowedOrigins.some(pattern => matchesOriginPattern(window.location.origin, pattern));
+    }
+
+    if (!isFrameAllowed()) {
+        console.log("WebViewAPM Agent: Frame origin " + window.location.origin + " is not in frames.allowedOrigins, skipping.");
+        return;
+    }
+
+    // --- 重复注入保护 ---
+    // 同一 frame 中只保留一个 Agent 实例：已有相同或更新版本时直接退出，已有旧版本或已卸载的实例时由当前实例接管
+    // window.__WEBVIEW_APM_AGENT__ 只定义一次，冻结且不可重新定义，页面脚本无法用自己的包装截获 Native 传入的 token；
+    // 标记的方法转发给当前生效的 Agent，卸载后标记保留 (active 为 false)，接管需要携带相同的 token
+    const AGENT_VERSION = '0.1.0'; // 与 SDK 版本保持一致
+    const agentControl = {
+        version: AGENT_VERSION,
+        frameId: FRAME_ID,
+        isActive: () => !agentTornDown,
+        teardown: teardown,
+        updateConfig: updateConfig,
+        relay: acceptRelayedRecords
+    };
+    const existingAgent = window.__WEBVIEW_APM_AGENT__;
+    if (existingAgent) {
+        if (existingAgent.active !== false && compareVersions(existingAgent.version, AGENT_VERSION) >= 0) {
+            console.log("WebViewAPM Agent: Version " + existingAgent.version + " already installed, skipping.");
+            return;
+        }
+        if (typeof existingAgent.takeover === 'function') {
+            if (!existingAgent.takeover(CONTROL_TOKEN, agentControl)) {
+                console.log("WebViewAPM Agent: Cannot take over version " + existingAgent.version + " without a valid token, skipping.");
+                return;
+            }
+        } else {
+            // 早期版本的标记可以直接替换
+            try {
+                existingAgent.teardown();
+            } catch (e) {
+                console.error("WebViewAPM Agent: Error tearing down previous agent version:", e);
+            }
+            if (!defineAgentMarker()) return;
+        }
+    } else if (!defineAgentMarker()) {
+        return;
+    }
+
+    function isValidControlToken(token) {
+        return !/^\{\{/.test(CONTROL_TOKEN) && token === CONTROL_TOKEN;
+    }
+
+    function defineAgentMarker() {
+        let control = agentControl;
+        const marker = Object.freeze({
+            get version() { return control.version; },
+            get frameId() { return control.frameId; },
+            get active() { return control.isActive(); },
+            teardown: () => control.teardown(),
+            updateConfig: (token, partialConfig) => control.updateConfig(token, partialConfig),
+            relay: (records, dropped, options) => control.relay(records, dropped, options),
+            // 卸载当前 Agent，之后的调用转发给接管的实例
+            takeover: (token, newControl) => {
+                if (!isValidControlToken(token) || !newControl) return false;
+                try {
+                    control.teardown();
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error tearing down previous agent version:", e);
+                }
+                control = newControl;
+                return true;
+            }
+        });
+        try {
+            Object.defineProperty(window, '__WEBVIEW_APM_AGENT__', { value: marker, writable: false, configurable: false });
+            return true;
+        } catch (e) {
+            console.error("WebViewAPM Agent: Cannot define agent marker, skipping.", e);
+            return false;
+        }
+    }
+
+    function compareVersions(a, b) {
+        const partsA = String(a || '0').split('.').map(part => parseInt(part, 10) || 0);
+        const partsB = String(b || '0').split('.').map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
     }
 
+    // --- 全局状态 ---
+    let currentRoute = getRoutePath(); // 当前活跃路由，用于将资源和 API 记录归属到路由
+    let lastKnownUrl = window.location.href; // 最近一次观察到的 URL，用于 popstate/hashchange 的来源 URL
+    let pendingRequestCount = 0; // 进行中的 XHR/fetch 数量，用于判断软导航何时结束
+
     // --- 工具函数 ---
+    function getRoutePath() {
+        // 路由以 pathname + hash 标识，兼容 history 与 hash 两种路由模式
+        return window.location.pathname + window.location.hash;
+    }
+
+    // 时间基准：所有时间都以 performance.timeOrigin (页面导航开始时的 Unix 毫秒时间) 作为唯一的墙上时钟锚点
+    // - timestamp: 记录产生时的 Unix 时间 (秒)，等于 (timeOrigin + performance.now()) / 1000，页面内单调递增，不受设备时钟跳变影响
+    // - hrTime: 记录产生时相对 timeOrigin 的时间 (ms)，与 startTime 等 performance.now() 时基的字段处于同一时间轴
+    // - timeOrigin: 随每条记录上报，同一页面的所有记录相同，Native 端可据此将各记录还原到同一时间轴
+    // 页面内的时间窗口 (限流、去重等) 使用 performance.now()；只有跨页面加载的会话超时使用 Date.now()
+    const TIME_ORIGIN = getTimeOrigin();
+
+    function getTimeOrigin() {
+        if (performance.timeOrigin > 0) return performance.timeOrigin;
+        // 旧版 WebKit 没有 timeOrigin，此时 performance.now() 以 navigationStart 为基准
+        if (performance.timing && performance.timing.navigationStart > 0) return performance.timing.navigationStart;
+        return Date.now() - performance.now();
+    }
+
     function getTimestamp() {
-        // 使用 performance.timeOrigin + performance.now() 提供更高精度的相对时间戳
-        // Native 端可以结合设备当前时间还原为 Unix 时间戳
-        // 或者直接使用 Date.now() / 1000 获取 Unix 时间戳（秒）
-        return Date.now() / 1000;
+        return (TIME_ORIGIN + performance.now()) / 1000;
     }
 
     function safeStringify(obj) {
@@ -43,481 +444,3420 @@
         }
     }
 
-    // --- 通信函数 (Checklist Item 7) ---
-    function sendToNative(recordType, data) {
-        if (!NATIVE_BRIDGE) return; // 再次检查
-        const record = {
-            type: recordType, // 对应 Swift APMRecordType 的 rawValue
-            data: data
-        };
+    function isEntryTypeSupported(type) {
+        // WKWebView 的不同版本对 PerformanceObserver 条目类型的支持差异较大
+        return typeof PerformanceObserver === 'function' &&
+            Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+            PerformanceObserver.supportedEntryTypes.includes(type);
+    }
+
+    function getElementSelector(element) {
+        // 生成简短且相对稳定的 CSS 选择器，例如 "div#app > ul.list > li:nth-child(3)"
         try {
-            // 发送给 Native
-            NATIVE_BRIDGE.postMessage(record);
-        } catch (e) {
-            // 如果 postMessage 出错（例如数据过大或无法序列化），尝试发送简化错误信息
-            console.error("WebViewAPM Agent: Failed to post message:", e);
-            try {
-                NATIVE_BRIDGE.postMessage({
-                    type: 'jsError', // 上报为 JS 错误
-                    data: {
-                        message: 'WebViewAPM Agent: Failed to post original message. Type: ' + recordType,
-                        stack: e.stack || '',
-                        url: window.location.href,
-                        timestamp: getTimestamp()
+            if (!element || element.nodeType !== 1) return null;
+            const parts = [];
+            let node = element;
+            while (node && node.nodeType === 1 && parts.length < 5) {
+                let part = node.tagName.toLowerCase();
+                if (node.id) {
+                    parts.unshift(part + '#' + node.id);
+                    break; // id 已足够唯一，不再向上查找
+                }
+                if (typeof node.className === 'string' && node.className.trim()) {
+                    part += '.' + node.className.trim().split(/\s+/).slice(0, 2).join('.');
+                }
+                const parent = node.parentElement;
+                if (parent) {
+                    const siblings = Array.prototype.filter.call(parent.children, child => child.tagName === node.tagName);
+                    if (siblings.length > 1) {
+                        part += ':nth-child(' + (Array.prototype.indexOf.call(parent.children, node) + 1) + ')';
                     }
-                });
-            } catch (finalError) {
-                console.error("WebViewAPM Agent: Failed to post fallback error message:", finalError);
+                }
+                parts.unshift(part);
+                node = parent;
             }
+            return parts.join(' > ');
+        } catch (e) {
+            return null;
         }
     }
 
-    // --- 页面加载性能监控 (Checklist Item 4 - Page Load) ---
-    function capturePageLoadMetrics() {
-        try {
-            // 确保在 load 事件后执行，此时 timing 数据最完整
-            if (document.readyState !== 'complete') {
-                window.addEventListener('load', capturePageLoadMetrics, { once: true });
-                return;
-            }
+    // --- 隐私与敏感信息脱敏 ---
+    // 所有记录在进入发送队列前经过 scrubRecord 处理：
+    // 1. URL 中命中 queryParamDenylist 的参数值替换为 [REDACTED]，路径中的 ID 模板化 (/users/123 -> /users/:id)
+    // 2. 命中 headerDenylist 的 Header 值替换为 [REDACTED]
+    // 3. 所有字符串按 redactionRules 做正则脱敏 (邮箱、银行卡号、JWT、手机号及自定义规则)
+    // 4. strictMode 下丢弃不在 allowedFields 中的字符串/对象字段 (数值与布尔字段不含敏感文本，始终保留)
+    const URL_FIELDS = ['url', 'fromUrl', 'toUrl', 'lcpUrl', 'scriptUrl', 'file', 'blockedUrl'];
+    const ROUTE_FIELDS = ['route'];
+    const HEADER_FIELDS = ['requestHeaders', 'responseHeaders'];
+    const MAX_SCRUB_DEPTH = 6;
 
-            // 优先使用 PerformanceNavigationTiming (Level 2)
-            const navigationEntries = performance.getEntriesByType?.('navigation');
-            const navEntry = navigationEntries?.[0];
+    const BUILTIN_REDACTION_RULES = {
+        email: { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[EMAIL]' },
+        jwt: { pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, replacement: '[JWT]' },
+        // 通过 Luhn 校验减少对时间戳等长数字的误伤
+        creditCard: { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replacement: '[CARD]', validate: passesLuhnCheck },
+        phone: { pattern: /(?:\+?86[- ]?)?\b1[3-9]\d{9}\b|\+\d{1,3}[- ]\d{2,4}[- ]\d{3,4}[- ]\d{3,4}\b/g, replacement: '[PHONE]' }
+    };
 
-            let paintEntries = {};
-            try {
-                performance.getEntriesByType?.('paint')?.forEach(entry => {
-                    paintEntries[entry.name] = entry.startTime; // FP 和 FCP
-                });
-            } catch (paintError) {
-                console.warn("WebViewAPM Agent: Error getting Paint Timing:", paintError);
+    let queryParamPatternCache = { key: null, regex: null };
+
+    function passesLuhnCheck(match) {
+        const digits = match.replace(/\D/g, '');
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
             }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
 
-            let data;
-            const timestamp = getTimestamp(); // 记录发生时间
+    function escapeRegExp(str) {
+        return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
 
-            if (navEntry) {
-                data = {
-                    timestamp: timestamp,
-                    url: navEntry.name || window.location.href,
-                    navigationStart: 0, // Level 2 时间是相对于 timeOrigin，所以 navigationStart 视为 0
-                    domContentLoadedEventEnd: navEntry.domContentLoadedEventEnd,
-                    loadEventEnd: navEntry.loadEventEnd,
-                    firstPaint: paintEntries['first-paint'],
-                    firstContentfulPaint: paintEntries['first-contentful-paint'],
+    function toRegExp(pattern, defaultFlags) {
+        // 形如 "/pattern/flags" 的字符串按正则解析，其余字符串按字面量匹配
+        if (pattern instanceof RegExp) return pattern;
+        const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(String(pattern));
+        if (regexMatch) {
+            const flags = regexMatch[2].includes('g') ? regexMatch[2] : regexMatch[2] + 'g';
+            return new RegExp(regexMatch[1], flags);
+        }
+        return new RegExp(escapeRegExp(pattern), defaultFlags);
+    }
 
-                    // --- 新增详细时间点 (Level 2) ---
-                    unloadEventStart: navEntry.unloadEventStart,
-                    unloadEventEnd: navEntry.unloadEventEnd,
-                    redirectStart: navEntry.redirectStart,
-                    redirectEnd: navEntry.redirectEnd,
-                    fetchStart: navEntry.fetchStart,
-                    domainLookupStart: navEntry.domainLookupStart,
-                    domainLookupEnd: navEntry.domainLookupEnd,
-                    connectStart: navEntry.connectStart,
-                    connectEnd: navEntry.connectEnd,
-                    secureConnectionStart: navEntry.secureConnectionStart, // 可能为 0
-                    requestStart: navEntry.requestStart,
-                    responseStart: navEntry.responseStart,
-                    responseEnd: navEntry.responseEnd,
-                    domInteractive: navEntry.domInteractive,
-                    domContentLoadedEventStart: navEntry.domContentLoadedEventStart,
-                    domComplete: navEntry.domComplete,
-                    loadEventStart: navEntry.loadEventStart,
+    function getQueryParamPattern() {
+        const names = agentConfig.privacy.queryParamDenylist || [];
+        const key = names.join('|');
+        if (queryParamPatternCache.key !== key) {
+            queryParamPatternCache = {
+                key: key,
+                regex: names.length ? new RegExp('([?&;#])(' + names.map(escapeRegExp).join('|') + ')=([^&#\\s"\']*)', 'gi') : null
+            };
+        }
+        return queryParamPatternCache.regex;
+    }
 
-                    // --- Level 2 Only 详细信息 ---
-                    workerStart: navEntry.workerStart, // 可能为 0
-                    transferSize: navEntry.transferSize,
-                    encodedBodySize: navEntry.encodedBodySize,
-                    decodedBodySize: navEntry.decodedBodySize
-                };
-                // 将 0 值转换成 null，因为 0 在 Level 2 中表示未发生或不适用
-                for (const key in data) {
-                    if (data[key] === 0 && key !== 'navigationStart') { // navigationStart 基准保持 0
-                        data[key] = null;
-                    }
+    function redactString(str) {
+        const privacy = agentConfig.privacy;
+        const queryParamPattern = getQueryParamPattern();
+        if (queryParamPattern) {
+            str = str.replace(queryParamPattern, '$1$2=[REDACTED]');
+        }
+        (privacy.redactionRules || []).forEach(rule => {
+            try {
+                if (typeof rule === 'string') {
+                    const builtin = BUILTIN_REDACTION_RULES[rule];
+                    if (!builtin) return;
+                    builtin.pattern.lastIndex = 0;
+                    str = str.replace(builtin.pattern, match => (!builtin.validate || builtin.validate(match)) ? builtin.replacement : match);
+                } else if (rule && rule.pattern) {
+                    str = str.replace(toRegExp(rule.pattern, 'g'), rule.replacement || '[REDACTED]');
                 }
-            } else if (performance.timing) {
-                // Fallback 到 PerformanceTiming (Level 1)
-                const timing = performance.timing;
-                const navigationStart = timing.navigationStart; // Level 1 的基准时间戳
-                // 辅助函数处理 Level 1 时间戳转换
-                const getRelativeTime = (absoluteTime) => {
-                    // 如果绝对时间为 0 (表示未发生) 或 navigationStart 无效，返回 null
-                    if (!absoluteTime || !navigationStart) return null;
-                    // 否则返回相对时间
-                    return absoluteTime - navigationStart;
-                };
+            } catch (e) {
+                console.warn("WebViewAPM Agent: Invalid redaction rule:", rule);
+            }
+        });
+        return str;
+    }
 
-                data = {
-                    timestamp: timestamp,
-                    url: window.location.href,
-                    navigationStart: 0, // 统一基准为 0
-                    domContentLoadedEventEnd: getRelativeTime(timing.domContentLoadedEventEnd),
-                    loadEventEnd: getRelativeTime(timing.loadEventEnd),
-                    firstPaint: paintEntries['first-paint'], // FP/FCP 仍可能来自 PaintTiming
-                    firstContentfulPaint: paintEntries['first-contentful-paint'],
+    function templatePath(path) {
+        const privacy = agentConfig.privacy;
+        (privacy.pathTemplates || []).forEach(rule => {
+            try {
+                if (rule && rule.pattern) path = path.replace(toRegExp(rule.pattern, 'g'), rule.template);
+            } catch (e) {
+                console.warn("WebViewAPM Agent: Invalid path template:", rule);
+            }
+        });
+        if (!privacy.templateUrlPaths) return path;
+        // 纯数字、UUID 及较长的十六进制串视为 ID
+        return path.split('/').map(segment =>
+            /^\d+$/.test(segment) ||
+            /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+            /^[0-9a-f]{16,}$/i.test(segment) ? ':id' : segment
+        ).join('/');
+    }
 
-                    // --- 新增详细时间点 (Level 1 Fallback) ---
-                    unloadEventStart: getRelativeTime(timing.unloadEventStart),
-                    unloadEventEnd: getRelativeTime(timing.unloadEventEnd),
-                    redirectStart: getRelativeTime(timing.redirectStart),
-                    redirectEnd: getRelativeTime(timing.redirectEnd),
-                    fetchStart: getRelativeTime(timing.fetchStart),
-                    domainLookupStart: getRelativeTime(timing.domainLookupStart),
-                    domainLookupEnd: getRelativeTime(timing.domainLookupEnd),
-                    connectStart: getRelativeTime(timing.connectStart),
-                    connectEnd: getRelativeTime(timing.connectEnd),
-                    // secureConnectionStart 在 Level 1 中不存在
-                    secureConnectionStart: null,
-                    requestStart: getRelativeTime(timing.requestStart),
-                    responseStart: getRelativeTime(timing.responseStart),
-                    responseEnd: getRelativeTime(timing.responseEnd),
-                    domInteractive: getRelativeTime(timing.domInteractive),
-                    domContentLoadedEventStart: getRelativeTime(timing.domContentLoadedEventStart),
-                    domComplete: getRelativeTime(timing.domComplete),
-                    loadEventStart: getRelativeTime(timing.loadEventStart),
+    function scrubUrl(url) {
+        // 拆分为 origin、路径与 query/hash 三部分，只对路径做模板化，保留相对 URL 的原始形式
+        const match = /^([a-z][a-z0-9+.-]*:\/\/[^/?#]*)?([^?#]*)(.*)$/i.exec(url);
+        if (!match) return redactString(url);
+        return redactString((match[1] || '') + templatePath(match[2]) + match[3]);
+    }
 
-                    // --- Level 2 Only 字段在 Level 1 中不存在 ---
-                    workerStart: null,
-                    transferSize: null,
-                    encodedBodySize: null,
-                    decodedBodySize: null
-                };
-            } else {
-                console.warn("WebViewAPM Agent: Navigation Timing API not fully supported.");
-                return; // 无法获取数据
-            }
+    function scrubHeaders(headers) {
+        const denylist = (agentConfig.privacy.headerDenylist || []).map(name => String(name).toLowerCase());
+        const result = {};
+        Object.keys(headers).forEach(name => {
+            const value = headers[name];
+            result[name] = denylist.includes(name.toLowerCase()) ? '[REDACTED]' : (typeof value === 'string' ? redactString(value) : value);
+        });
+        return result;
+    }
 
-            // 过滤掉结果为 Infinity 的值 (可能在某些异常情况下出现)
-            for (const key in data) {
-                if (data[key] === Infinity || data[key] === -Infinity) {
-                    data[key] = null;
-                }
-            }
+    function scrubValue(key, value, depth) {
+        if (typeof value === 'string') {
+            if (URL_FIELDS.includes(key)) return scrubUrl(value);
+            if (ROUTE_FIELDS.includes(key)) return templatePath(redactString(value));
+            return redactString(value);
+        }
+        if (!value || typeof value !== 'object' || depth > MAX_SCRUB_DEPTH) return value;
+        if (Array.isArray(value)) return value.map(item => scrubValue(key, item, depth + 1));
+        if (HEADER_FIELDS.includes(key)) return scrubHeaders(value);
+        const result = {};
+        Object.keys(value).forEach(childKey => {
+            result[childKey] = scrubValue(childKey, value[childKey], depth + 1);
+        });
+        return result;
+    }
 
-            sendToNative('pageLoad', data);
+    function scrubRecord(data) {
+        const privacy = agentConfig.privacy;
+        if (!privacy.enabled || !data || typeof data !== 'object') return data;
+        const allowedFields = privacy.allowedFields || [];
+        const result = {};
+        Object.keys(data).forEach(key => {
+            const value = data[key];
+            const isTextual = typeof value === 'string' || (value !== null && typeof value === 'object');
+            if (privacy.strictMode && isTextual && !allowedFields.includes(key)) return;
+            result[key] = scrubValue(key, value, 0);
+        });
+        return result;
+    }
+
+    // --- 会话与页面浏览 ---
+    // sessionId 保存在 sessionStorage 中，同一 WebView 内多次加载页面共享；超过 inactivityTimeout 没有新记录时开始新会话
+    // pageViewId 在每次页面加载、SPA 路由变化及 bfcache 恢复时重新生成
+    // 每条记录发送前附加 sessionId、pageViewId 与 timeSinceNavigation (距当前页面浏览开始的时间，ms)
+    const SESSION_STORAGE_KEY = '__webview_apm_session__';
+    const SESSION_WRITE_INTERVAL = 5000; // 最后活跃时间写入 sessionStorage 的最小间隔 (ms)
+    let sessionState = null; // { id, lastActivity, lastWrite }
+    let pageViewId = randomHex(8);
+    let pageViewStartTime = 0; // 当前页面浏览开始时的 performance.now()，页面加载时为 0
+
+    function readStoredSession() {
+        try {
+            const stored = JSON.parse(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+            return stored && stored.id ? { id: stored.id, lastActivity: stored.lastActivity, lastWrite: stored.lastActivity } : null;
         } catch (e) {
-            console.error("WebViewAPM Agent: Error capturing page load metrics:", e);
-            // 尝试上报这个错误
-            sendToNative('jsError', { timestamp: getTimestamp(), message: 'Error capturing page load metrics: ' + e.message, stack: e.stack });
+            return null; // sessionStorage 不可用时只在内存中维持会话
         }
     }
 
-    // --- 资源加载性能监控 (Checklist Item 4 - Resource Load) ---
-    function captureResourceLoadMetrics() {
+    function writeStoredSession() {
+        if (!sessionState) return;
         try {
-            if (typeof performance.getEntriesByType !== 'function') {
-                console.warn("WebViewAPM Agent: Resource Timing API not supported.");
-                return;
-            }
+            window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ id: sessionState.id, lastActivity: sessionState.lastActivity }));
+            sessionState.lastWrite = sessionState.lastActivity;
+        } catch (e) { } // 忽略存储配额或隐私模式导致的写入失败
+    }
 
-            const resources = performance.getEntriesByType('resource');
-            const navigationStart = performance.timing ? performance.timing.navigationStart : 0; // 基准时间
+    function getSessionId() {
+        const now = Date.now();
+        if (!sessionState) sessionState = readStoredSession();
+        if (!sessionState || now - sessionState.lastActivity > agentConfig.session.inactivityTimeout) {
+            sessionState = { id: randomHex(16), lastActivity: now, lastWrite: 0 };
+        }
+        sessionState.lastActivity = now;
+        if (now - sessionState.lastWrite >= SESSION_WRITE_INTERVAL) writeStoredSession();
+        return sessionState.id;
+    }
 
-            resources.forEach(resource => {
-                // 过滤掉自身脚本和可能的 beacon 请求（如果使用 Beacon API 上报）
-                if (resource.name.includes('JavaScriptAgent.js') || resource.initiatorType === 'beacon') {
-                    return;
-                }
-                const data = {
-                    timestamp: getTimestamp(), // 记录发生时间
-                    url: resource.name,
-                    initiatorType: resource.initiatorType,
-                    startTime: resource.startTime, // 相对于 navigationStart
-                    duration: resource.duration,
-                    transferSize: resource.transferSize,
-                    decodedBodySize: resource.decodedBodySize
-                };
-                sendToNative('resourceLoad', data);
-            });
+    function startPageView() {
+        pageViewId = randomHex(8);
+        pageViewStartTime = performance.now();
+        budgetState = createBudgetState();
+    }
 
-            // 清空已上报资源，避免重复（如果需要周期性检查）
-            // performance.clearResourceTimings();
-        } catch (e) {
-            console.error("WebViewAPM Agent: Error capturing resource load metrics:", e);
-            sendToNative('jsError', { timestamp: getTimestamp(), message: 'Error capturing resource load metrics: ' + e.message, stack: e.stack });
-        }
+    function stampRecord(data) {
+        data.sessionId = getSessionId();
+        data.pageViewId = pageViewId;
+        data.timeSinceNavigation = performance.now() - pageViewStartTime;
+        data.timeOrigin = TIME_ORIGIN;
+        // 由记录产生时的 timestamp 换算，而不是入队时间 (apiCall 等记录会延迟入队)
+        data.hrTime = typeof data.timestamp === 'number'
+            ? Math.round((data.timestamp * 1000 - TIME_ORIGIN) * 1000) / 1000
+            : performance.now();
+        data.frameId = FRAME_ID;
+        data.parentFrameId = PARENT_FRAME.frameId;
+        data.isMainFrame = IS_MAIN_FRAME;
+        data.frameUrl = agentConfig.privacy.enabled ? scrubUrl(window.location.href) : window.location.href;
+        data.frameOrigin = window.location.origin;
+        data.parentOrigin = PARENT_FRAME.origin;
+        return data;
+    }
+
+    // 页面卸载前保存最后活跃时间，供下一次加载判断会话是否超时
+    addAgentListener(window, 'pagehide', writeStoredSession);
+
+    // --- 传输层 ---
+    // 每种传输方式提供 isAvailable() 与 send(message)，send 发送失败时抛出异常
+    // 页面可以通过 WebViewAPM.registerTransport(name, transport) 注册自定义传输方式，内置传输方式不能被替换
+    const ORIGINAL_SEND_BEACON = navigator.sendBeacon; // 在 sendBeacon 采集安装前保存，Agent 自身的上报不会被记录为 apiCall
+    const transports = {
+        webkit: {
+            isAvailable: () => !!getWebKitBridge(),
+            send: message => getWebKitBridge().postMessage(message)
+        },
+        javascriptInterface: {
+            isAvailable: () => !!window[MESSAGE_HANDLER_NAME] && typeof window[MESSAGE_HANDLER_NAME].postMessage === 'function',
+            // addJavascriptInterface 注入的对象只能接收字符串
+            send: message => window[MESSAGE_HANDLER_NAME].postMessage(JSON.stringify(message))
+        },
+        urlScheme: {
+            isAvailable: () => !!agentConfig.transport.urlScheme && !!document.documentElement,
+            send: message => {
+                // 每条消息使用独立的 iframe，同一 iframe 连续修改 src 时前面的请求可能被取消
+                const frame = document.createElement('iframe');
+                frame.style.display = 'none';
+                frame.src = agentConfig.transport.urlScheme + '://batch?payload=' + encodeURIComponent(JSON.stringify(message));
+                document.documentElement.appendChild(frame);
+                setTimeout(() => frame.remove(), 0);
+            }
+        },
+        beacon: {
+            isAvailable: () => !!agentConfig.transport.beaconUrl && typeof ORIGINAL_SEND_BEACON === 'function',
+            send: message => {
+                const payload = new Blob([JSON.stringify(message)], { type: 'application/json' });
+                if (!ORIGINAL_SEND_BEACON.call(navigator, agentConfig.transport.beaconUrl, payload)) {
+                    throw new Error('sendBeacon rejected the payload'); // 超出浏览器的 beacon 大小限制等
+                }
+            }
+        }
+    };
+
+    const BUILTIN_TRANSPORT_NAMES = Object.keys(transports);
+
+    function isAgentTransportUrl(url) {
+        const scheme = agentConfig.transport.urlScheme;
+        return !!scheme && String(url || '').indexOf(scheme + '://') === 0;
+    }
+
+    function getWebKitBridge() {
+        return window.webkit?.messageHandlers?.[MESSAGE_HANDLER_NAME];
+    }
+
+    // 先按 types 的顺序，再按注册顺序加入未列在 types 中的自定义传输方式
+    function getAvailableTransports() {
+        const types = agentConfig.transport.types || [];
+        const names = types.concat(Object.keys(transports).filter(name => !types.includes(name) && !BUILTIN_TRANSPORT_NAMES.includes(name)));
+        return names.filter(name => {
+            try {
+                return !!transports[name] && (typeof transports[name].isAvailable !== 'function' || transports[name].isAvailable());
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    // 依次尝试可用的传输方式，返回是否发送成功
+    function sendMessage(message) {
+        return getAvailableTransports().some(name => {
+            try {
+                transports[name].send(message);
+                return true;
+            } catch (e) {
+                console.error("WebViewAPM Agent: Transport " + name + " failed to send message:", e);
+                return false;
+            }
+        });
+    }
+
+    function createPostFailureRecord(record) {
+        return {
+            type: 'jsError', // 上报为 JS 错误
+            data: {
+                message: 'WebViewAPM Agent: Failed to post original message. Type: ' + record.type,
+                stack: '',
+                url: scrubUrl(window.location.href),
+                timestamp: getTimestamp()
+            }
+        };
+    }
+
+    // 整批发送失败时逐条发送。单条记录发送失败时用一条简短的错误记录探测传输方式：
+    // 错误记录发送成功说明只是该记录无法发送 (例如数据过大或无法序列化)，以错误记录代替并继续；
+    // 错误记录也发送失败说明传输方式本身出错，返回尚未发送的部分由调用方暂存
+    function postRecordsIndividually(message) {
+        const records = message.data.records;
+        for (let i = 0; i < records.length; i++) {
+            if (sendMessage(records[i])) continue;
+            if (!sendMessage(createPostFailureRecord(records[i]))) {
+                return { type: 'batch', data: { records: records.slice(i), dropped: message.data.dropped } };
+            }
+        }
+        const dropped = message.data.dropped;
+        if (Object.keys(dropped).length > 0 && !sendMessage({ type: 'batch', data: { records: [], dropped: dropped } })) {
+            return { type: 'batch', data: { records: [], dropped: dropped } };
+        }
+        return null;
+    }
+
+    // 返回未能发送、需要暂存的批次；全部发送 (或已替换为错误记录) 时返回 null
+    // 只有没有可用的传输方式时才整批暂存
+    function deliverBatch(message) {
+        if (getAvailableTransports().length === 0) return message;
+        if (sendMessage(message)) return null;
+        console.error("WebViewAPM Agent: Failed to post batch, falling back to individual messages.");
+        return postRecordsIndividually(message);
+    }
+
+    // --- 离线暂存 ---
+    // 没有可用的传输方式或传输方式持续失败时，批次按顺序暂存在内存中，每隔 retryInterval 尝试补发
+    // persist 开启时同时写入 IndexedDB，页面在补发前被卸载的批次会在同源页面下次加载时补发
+    // localStorage 中的标记表示 IndexedDB 中有待补发的批次，没有标记时不打开数据库，避免为每个页面创建数据库
+    const OFFLINE_DB_NAME = '__webview_apm__';
+    const OFFLINE_STORE_NAME = 'pendingBatches';
+    const OFFLINE_FLAG_KEY = '__webview_apm_offline__';
+    const offlineBuffer = []; // [{ message, key, removed }]，key 为 IndexedDB 中的主键
+    let offlineDbPromise = null;
+    let replayTimer = null;
+
+    function openOfflineDb() {
+        if (!offlineDbPromise) {
+            offlineDbPromise = new Promise(resolve => {
+                try {
+                    const request = window.indexedDB.open(OFFLINE_DB_NAME, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(OFFLINE_STORE_NAME, { autoIncrement: true });
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch (e) {
+                    resolve(null); // IndexedDB 不可用 (隐私模式、沙箱 iframe 等) 时只在内存中暂存
+                }
+            });
+        }
+        return offlineDbPromise;
+    }
+
+    function withOfflineStore(mode, callback) {
+        if (!agentConfig.transport.persist || !window.indexedDB) return;
+        openOfflineDb().then(db => {
+            if (!db) return;
+            try {
+                callback(db.transaction(OFFLINE_STORE_NAME, mode).objectStore(OFFLINE_STORE_NAME));
+            } catch (e) {
+                console.error("WebViewAPM Agent: Offline storage error:", e);
+            }
+        });
+    }
+
+    function setOfflineFlag(pending) {
+        try {
+            if (pending) {
+                window.localStorage.setItem(OFFLINE_FLAG_KEY, '1');
+            } else {
+                window.localStorage.removeItem(OFFLINE_FLAG_KEY);
+            }
+        } catch (e) { }
+    }
+
+    function persistOfflineEntry(entry) {
+        withOfflineStore('readwrite', store => {
+            if (entry.removed) return; // 打开数据库期间已补发
+            const request = store.add(entry.message);
+            request.onsuccess = () => {
+                entry.key = request.result;
+                if (entry.removed) removeOfflineEntry(entry);
+            };
+            setOfflineFlag(true);
+        });
+    }
+
+    function removeOfflineEntry(entry) {
+        entry.removed = true;
+        if (entry.key === null) return;
+        const key = entry.key;
+        withOfflineStore('readwrite', store => store.delete(key));
+    }
+
+    function bufferMessage(message) {
+        const entry = { message: message, key: null, removed: false };
+        offlineBuffer.push(entry);
+        persistOfflineEntry(entry);
+        trimOfflineBuffer();
+        scheduleReplay();
+    }
+
+    // 超出 maxBufferedRecords 时丢弃最早的批次，丢弃的记录按类型计入 dropped
+    function trimOfflineBuffer() {
+        const countRecords = () => offlineBuffer.reduce((total, entry) => total + entry.message.data.records.length, 0);
+        while (offlineBuffer.length > 1 && countRecords() > agentConfig.transport.maxBufferedRecords) {
+            const entry = offlineBuffer.shift();
+            removeOfflineEntry(entry);
+            const dropped = offlineBuffer[0].message.data.dropped;
+            Object.keys(entry.message.data.dropped).forEach(recordType => {
+                dropped[recordType] = (dropped[recordType] || 0) + entry.message.data.dropped[recordType];
+            });
+            entry.message.data.records.forEach(record => {
+                dropped[record.type] = (dropped[record.type] || 0) + 1;
+            });
+        }
+    }
+
+    function scheduleReplay() {
+        if (!replayTimer && !agentTornDown) {
+            replayTimer = setTimeout(replayOfflineBuffer, agentConfig.transport.retryInterval);
+        }
+    }
+
+    function replayOfflineBuffer() {
+        clearTimeout(replayTimer);
+        replayTimer = null;
+        while (offlineBuffer.length > 0) {
+            const entry = offlineBuffer[0];
+            const remaining = deliverBatch(entry.message);
+            if (remaining) {
+                if (remaining !== entry.message) {
+                    // 部分记录已发送，用剩余部分替换暂存的批次
+                    removeOfflineEntry(entry);
+                    offlineBuffer[0] = { message: remaining, key: null, removed: false };
+                    persistOfflineEntry(offlineBuffer[0]);
+                }
+                scheduleReplay();
+                return;
+            }
+            removeOfflineEntry(offlineBuffer.shift());
+        }
+        setOfflineFlag(false);
+    }
+
+    // 启动时取回上次页面未能补发的批次，排在本页面的记录之前
+    function restoreOfflineBatches() {
+        try {
+            if (!window.localStorage.getItem(OFFLINE_FLAG_KEY)) return;
+        } catch (e) {
+            return;
+        }
+        withOfflineStore('readonly', store => {
+            const restored = [];
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    restored.push({ message: cursor.value, key: cursor.key, removed: false });
+                    cursor.continue();
+                    return;
+                }
+                offlineBuffer.unshift.apply(offlineBuffer, restored);
+                trimOfflineBuffer();
+                replayOfflineBuffer();
+            };
+        });
+    }
+
+    addTeardownTask(() => clearTimeout(replayTimer));
+
+    // --- 通信函数 (Checklist Item 7) ---
+    // 记录先进入页面内队列，按条数或时间批量通过 bridge 发送，减少加载期间频繁跨越 bridge 造成的卡顿
+    const recordQueue = [];
+    let droppedCounts = {}; // recordType -> 自上次发送以来被采样或限流丢弃的条数
+    let queuedErrorsByKey = {}; // 当前批次中 jsError 的去重键 -> 记录
+    const reportedErrors = {}; // 已发送 jsError 的去重键 -> { time, suppressed, data, timer }，用于跨批次去重
+    let errorTimestamps = []; // 最近一分钟内入队的 jsError 时间，用于限流
+    let flushTimer = null;
+
+    function recordDropped(recordType) {
+        if (relayRecords([], { [recordType]: 1 })) return;
+        droppedCounts[recordType] = (droppedCounts[recordType] || 0) + 1;
+    }
+
+    function shouldSample(recordType) {
+        const rate = agentConfig.sampling[recordType];
+        return rate === undefined || Math.random() < rate;
+    }
+
+    function isErrorRateLimited() {
+        const now = performance.now();
+        errorTimestamps = errorTimestamps.filter(time => now - time < 60000);
+        if (errorTimestamps.length >= agentConfig.thresholds.maxErrorsPerMinute) return true;
+        errorTimestamps.push(now);
+        return false;
+    }
+
+    function flushQueue() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (recordQueue.length === 0 && Object.keys(droppedCounts).length === 0) return;
+
+        const records = recordQueue.splice(0, recordQueue.length);
+        const dropped = droppedCounts;
+        droppedCounts = {};
+        queuedErrorsByKey = {};
+        if (relayRecords(records, dropped)) return; // 转交前已在自身队列中的记录
+
+        const message = {
+            type: 'batch',
+            data: {
+                records: records, // 每项为 { type, data }，与单条消息格式一致
+                dropped: dropped
+            }
+        };
+        // 暂存区中有更早的批次时先补发，保证发送顺序
+        if (offlineBuffer.length > 0) replayOfflineBuffer();
+        const remaining = offlineBuffer.length > 0 ? message : deliverBatch(message);
+        if (remaining) bufferMessage(remaining);
+    }
+
+    function enqueueRecord(record, options) {
+        if (relayRecords([record], null, options)) {
+            // 记录已进入祖先 frame 的队列，由其决定何时发送，批次内去重只能依赖 reportedErrors
+            queuedErrorsByKey = {};
+            return;
+        }
+        recordQueue.push(record);
+        scheduleFlush(options);
+    }
+
+    function scheduleFlush(options) {
+        // 页面隐藏回调中产生的记录由 dispatchPageHide 统一发送
+        const flushNow = !!(options && options.flush) && !dispatchingPageHide;
+        if (recordQueue.length >= agentConfig.batch.maxSize || flushNow) {
+            flushQueue();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flushQueue, agentConfig.batch.flushInterval);
+        }
+    }
+
+    // --- 子 frame 记录转交 ---
+    // 同源子 frame 的记录 (已在子 frame 内完成采样、脱敏与打标) 直接进入最外层同源祖先 frame (通常是顶层页面) 的队列，
+    // 与其自身记录合并为同一批次发送，避免每个 iframe 单独产生 bridge 消息；祖先 frame 不可用时退回自身队列
+    function getRelayTarget() {
+        if (IS_MAIN_FRAME || !agentConfig.frames.relay) return null;
+        let target = null;
+        let current = window;
+        try {
+            while (current !== current.parent) {
+                current = current.parent;
+                const agent = current.__WEBVIEW_APM_AGENT__;
+                if (agent && agent.active !== false && typeof agent.relay === 'function') target = agent;
+            }
+        } catch (e) { } // 访问跨域祖先 frame 会抛出 SecurityError，停止向上查找
+        return target;
+    }
+
+    function relayRecords(records, dropped, options) {
+        const target = getRelayTarget();
+        if (!target) return false;
+        try {
+            return target.relay(records, dropped, options) === true;
+        } catch (e) {
+            return false; // 祖先 frame 正在卸载等情况
+        }
+    }
+
+    // 通过 window.__WEBVIEW_APM_AGENT__.relay 供同源子 frame 调用
+    function acceptRelayedRecords(records, dropped, options) {
+        if (agentTornDown) return false;
+        Object.keys(dropped || {}).forEach(recordType => {
+            droppedCounts[recordType] = (droppedCounts[recordType] || 0) + dropped[recordType];
+        });
+        records.forEach(record => recordQueue.push(record));
+        scheduleFlush(options);
+        return true;
+    }
+
+    // Native 只能在主 frame 中执行卸载与配置更新，由各 frame 的 Agent 逐层转交给同源子 frame 中的 Agent
+    // 跨域子 frame 无法访问，其中的 Agent 不会收到 (移除 Message Handler 后也无法再发送记录)
+    function forEachChildFrameAgent(callback) {
+        const childFrames = window.frames;
+        for (let i = 0; childFrames && i < childFrames.length; i++) {
+            try {
+                const agent = childFrames[i].__WEBVIEW_APM_AGENT__;
+                if (agent) callback(agent);
+            } catch (e) { } // 跨域子 frame 会抛出 SecurityError
+        }
+    }
+
+    function getErrorDedupKey(data) {
+        return data.fingerprint || [data.message, data.url, data.line, data.column, data.errorType].join('|');
+    }
+
+    // 去重窗口结束时，将窗口内被合并的重复错误作为一条记录上报，count 为重复次数
+    function releaseSuppressedError(key, options) {
+        const reported = reportedErrors[key];
+        if (!reported) return;
+        clearTimeout(reported.timer);
+        delete reportedErrors[key];
+        if (reported.suppressed > 0) {
+            enqueueRecord({
+                type: 'jsError',
+                data: Object.assign({}, reported.data, { timestamp: reported.lastTimestamp, count: reported.suppressed })
+            }, options);
+        }
+    }
+
+    function releaseAllSuppressedErrors() {
+        Object.keys(reportedErrors).forEach(key => releaseSuppressedError(key));
+    }
+
+    // 相同错误在当前批次中累加 count；已发送的错误在去重窗口内只计数，窗口结束时合并上报
+    // 返回 true 表示记录已被合并，无需再入队
+    function collapseDuplicateError(key, data) {
+        const existing = queuedErrorsByKey[key];
+        if (existing) {
+            existing.data.count++;
+            return true;
+        }
+        const now = performance.now();
+        const dedupWindow = agentConfig.jsError.dedupWindow;
+        Object.keys(reportedErrors).forEach(reportedKey => {
+            const reported = reportedErrors[reportedKey];
+            if (!reported.timer && now - reported.time >= dedupWindow) delete reportedErrors[reportedKey];
+        });
+        const reported = reportedErrors[key];
+        if (!reported) return false;
+        reported.suppressed++;
+        reported.lastTimestamp = data.timestamp;
+        if (!reported.timer) {
+            reported.timer = setTimeout(() => releaseSuppressedError(key), Math.max(0, reported.time + dedupWindow - now));
+        }
+        return true;
+    }
+
+    // --- 性能预算 ---
+    // 记录在采样前按 budgets 配置检查，预算统计不受采样率影响；预算按页面浏览统计，SPA 路由变化时重新开始
+    // LCP、CLS、INP 在页面进入后台时才确定，对应的预算在 webVitals 记录产生时检查
+    // 资源与请求明细只用于计算 P95 和挑选 contributors，按上限保留，长时间停留的页面内存占用不随请求数增长
+    const MAX_BUDGET_CONTRIBUTORS = 5;
+    const DEFAULT_API_BUDGET_MIN_SAMPLES = 5;
+    const MAX_BUDGET_RESOURCES = 200; // 超出后资源仍计入 transferSize 累计值，但不再作为 contributors 候选
+    const MAX_API_BUDGET_SAMPLES = 100; // 每条 apiLatency 预算只保留最近的请求，P95 按该窗口计算
+    let budgetState = createBudgetState();
+
+    function createBudgetState() {
+        return {
+            violated: new Set(), // 本次页面浏览中已上报的预算
+            resourceSizes: {}, // initiatorType 及 total -> 累计 transferSize
+            resources: [], // { url, initiatorType, transferSize, duration, responseEnd }，最多 MAX_BUDGET_RESOURCES 条
+            apiSamples: {}, // apiLatency 预算下标 -> 最近 MAX_API_BUDGET_SAMPLES 条 [{ url, method, value }]
+            failedRequestCount: 0,
+            recentFailedRequests: [] // 最近 MAX_BUDGET_CONTRIBUTORS 条 { url, method, statusCode }
+        };
+    }
+
+    function hasBudgets(budgets) {
+        return Object.keys(budgets.metrics || {}).length > 0 || Object.keys(budgets.resourceSize || {}).length > 0 ||
+            (budgets.apiLatency || []).length > 0 || typeof budgets.maxFailedRequests === 'number';
+    }
+
+    function evaluateBudgets(recordType, data) {
+        try {
+            const budgets = agentConfig.budgets;
+            if (!hasBudgets(budgets)) return; // 未配置预算时不累计资源与请求
+            if (recordType === 'pageLoad' || recordType === 'webVitals') {
+                checkMetricBudgets(recordType, data, budgets.metrics || {});
+            } else if (recordType === 'resourceLoad') {
+                checkResourceSizeBudgets(data, budgets.resourceSize || {});
+            } else if (recordType === 'apiCall') {
+                checkApiBudgets(data, budgets);
+            }
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error evaluating budgets:", e);
+        }
+    }
+
+    function reportBudgetViolation(budget, sourceRecordType, details) {
+        if (budgetState.violated.has(budget)) return;
+        budgetState.violated.add(budget);
+        sendToNative('budgetViolation', Object.assign({
+            timestamp: getTimestamp(),
+            url: window.location.href,
+            route: currentRoute,
+            budget: budget, // 预算名，例如 metrics.lcp、resourceSize.script、apiLatency.<pattern>、maxFailedRequests
+            sourceRecordType: sourceRecordType,
+            pattern: null
+        }, details), { flush: true });
+    }
+
+    function topContributors(items, field) {
+        return items.slice().sort((a, b) => b[field] - a[field]).slice(0, MAX_BUDGET_CONTRIBUTORS);
+    }
+
+    function checkMetricBudgets(recordType, data, limits) {
+        Object.keys(limits).forEach(metric => {
+            const threshold = limits[metric];
+            const value = data[metric];
+            if (typeof threshold !== 'number' || typeof value !== 'number' || value <= threshold) return;
+            reportBudgetViolation('metrics.' + metric, recordType, {
+                metric: metric,
+                value: value,
+                threshold: threshold,
+                contributors: getMetricContributors(metric, value, data)
+            });
+        });
+    }
+
+    // Web Vitals 使用记录中的归因信息；页面加载时间点使用在该时间点之前完成、耗时最长的资源
+    function getMetricContributors(metric, value, data) {
+        if (metric === 'lcp') return [{ url: data.lcpUrl || null, element: data.lcpElement || null, value: value }];
+        if (metric === 'inp') return [{ element: data.inpTarget || null, value: value }];
+        if (metric === 'cls') return (data.clsSources || []).map(source => ({ element: source.selector, value: source.value }));
+        const finished = budgetState.resources.filter(resource => resource.responseEnd !== null && resource.responseEnd <= value);
+        return topContributors(finished, 'duration').map(resource => ({ url: resource.url, value: resource.duration }));
+    }
+
+    function checkResourceSizeBudgets(data, limits) {
+        const initiatorType = data.initiatorType || 'other';
+        const transferSize = data.transferSize > 0 ? data.transferSize : 0; // 命中缓存或跨域无 TAO 时为 0
+        if (budgetState.resources.length < MAX_BUDGET_RESOURCES) {
+            budgetState.resources.push({
+                url: data.url,
+                initiatorType: initiatorType,
+                transferSize: transferSize,
+                duration: data.duration,
+                responseEnd: data.responseEnd
+            });
+        }
+        if (!transferSize) return;
+        [initiatorType, 'total'].forEach(key => {
+            const total = budgetState.resourceSizes[key] = (budgetState.resourceSizes[key] || 0) + transferSize;
+            const threshold = limits[key];
+            if (typeof threshold !== 'number' || total <= threshold) return;
+            const resources = budgetState.resources.filter(resource => key === 'total' || resource.initiatorType === key);
+            reportBudgetViolation('resourceSize.' + key, 'resourceLoad', {
+                metric: 'transferSize',
+                value: total,
+                threshold: threshold,
+                contributors: topContributors(resources, 'transferSize').map(resource => ({ url: resource.url, value: resource.transferSize }))
+            });
+        });
+    }
+
+    function checkApiBudgets(data, budgets) {
+        if (data.success === false) {
+            const recentFailed = budgetState.recentFailedRequests;
+            budgetState.failedRequestCount++;
+            recentFailed.push({ url: data.url, method: data.method, statusCode: data.statusCode });
+            if (recentFailed.length > MAX_BUDGET_CONTRIBUTORS) recentFailed.shift();
+            const maxFailed = budgets.maxFailedRequests;
+            if (typeof maxFailed === 'number' && budgetState.failedRequestCount > maxFailed) {
+                reportBudgetViolation('maxFailedRequests', 'apiCall', {
+                    metric: 'failedRequests',
+                    value: budgetState.failedRequestCount,
+                    threshold: maxFailed,
+                    contributors: recentFailed.slice()
+                });
+            }
+        }
+        if (data.beacon || typeof data.duration !== 'number') return; // beacon 的耗时只是加入发送队列的时间
+        (budgets.apiLatency || []).forEach((rule, index) => {
+            if (!rule || typeof rule.p95 !== 'number' || !matchesUrlPattern(String(data.url || ''), rule.pattern)) return;
+            const samples = budgetState.apiSamples[index] = budgetState.apiSamples[index] || [];
+            samples.push({ url: data.url, method: data.method, value: data.duration });
+            if (samples.length > MAX_API_BUDGET_SAMPLES) samples.shift();
+            if (samples.length < (rule.minSamples || DEFAULT_API_BUDGET_MIN_SAMPLES)) return;
+            const durations = samples.map(sample => sample.value).sort((a, b) => a - b);
+            const p95 = durations[Math.ceil(durations.length * 0.95) - 1];
+            if (p95 <= rule.p95) return;
+            reportBudgetViolation('apiLatency.' + rule.pattern, 'apiCall', {
+                metric: 'apiLatencyP95',
+                value: p95,
+                threshold: rule.p95,
+                pattern: String(rule.pattern),
+                contributors: topContributors(samples, 'value')
+            });
+        });
+    }
+
+    // options.flush 为 true 时立即发送队列，用于 pagehide 等页面即将不可用时产生的记录
+    function sendToNative(recordType, data, options) {
+        if (agentTornDown) return; // 卸载后页面仍可能调用残留的包装函数
+        try {
+            const collector = RECORD_COLLECTORS[recordType];
+            if (collector && !isCollectorEnabled(collector)) return;
+            evaluateBudgets(recordType, data);
+
+            if (!shouldSample(recordType)) {
+                recordDropped(recordType);
+                return;
+            }
+            data = stampRecord(scrubRecord(data));
+
+            if (recordType === 'jsError') {
+                // 相同指纹的错误只保留一条，并累加 count
+                const key = getErrorDedupKey(data);
+                if (collapseDuplicateError(key, data)) return;
+                if (isErrorRateLimited()) {
+                    recordDropped(recordType);
+                    return;
+                }
+                data.count = 1;
+                queuedErrorsByKey[key] = { type: recordType, data: data };
+                if (agentConfig.jsError.dedupWindow > 0) {
+                    reportedErrors[key] = { time: performance.now(), suppressed: 0, data: data, lastTimestamp: data.timestamp, timer: null };
+                }
+                enqueueRecord(queuedErrorsByKey[key], options);
+            } else {
+                enqueueRecord({
+                    type: recordType, // 对应 Swift APMRecordType 的 rawValue
+                    data: data
+                }, options);
+            }
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error queueing record:", e);
+        }
+    }
+
+    // 页面进入后台或被卸载前立即发送剩余记录 (包括去重窗口内尚未上报的重复错误)
+    function flushAll() {
+        releaseAllSuppressedErrors();
+        flushQueue();
+    }
+
+    // --- 页面隐藏 ---
+    // 各采集器在页面进入后台 (visibilitychange -> hidden) 与 pagehide 时的处理通过 onPageHidden / onPageHide 注册，
+    // 由这里统一执行，执行期间 { flush: true } 的记录只入队，全部执行完后发送一次
+    // 导航离开页面时 pagehide 与 visibilitychange 在同一个任务中先后触发，每个事件都在处理后发送自己产生的记录
+    // (队列为空时 flushQueue 不发送)，后触发事件的记录不会因页面卸载而留在队列中
+    const pageHiddenHandlers = [];
+    const pageHideHandlers = [];
+    let dispatchingPageHide = false;
+    let pageHideFired = false; // pagehide 之后到 pageshow 之前页面正在卸载或已进入 bfcache
+
+    // 页面即将不可用时产生的记录需要立即发送 (例如页面在自己的 pagehide 监听中调用 sendBeacon)
+    function isPageHidden() {
+        return pageHideFired || document.visibilityState === 'hidden';
+    }
+
+    function onPageHidden(handler) {
+        pageHiddenHandlers.push(handler);
+    }
+
+    function onPageHide(handler) {
+        pageHideHandlers.push(handler);
+    }
+
+    function dispatchPageHide(handlers, event) {
+        dispatchingPageHide = true;
+        try {
+            handlers.forEach(handler => {
+                try {
+                    handler(event);
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error handling page hide:", e);
+                }
+            });
+        } finally {
+            dispatchingPageHide = false;
+        }
+        flushAll();
+    }
+
+    addAgentListener(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            dispatchPageHide(pageHiddenHandlers);
+        }
+    });
+    addAgentListener(window, 'pagehide', event => {
+        pageHideFired = true;
+        dispatchPageHide(pageHideHandlers, event);
+    });
+    addAgentListener(window, 'pageshow', () => { pageHideFired = false; });
+
+    // --- 页面加载性能监控 (Checklist Item 4 - Page Load) ---
+    function capturePageLoadMetrics() {
+        try {
+            // 确保在 load 事件后执行，此时 timing 数据最完整
+            if (document.readyState !== 'complete') {
+                addAgentListener(window, 'load', capturePageLoadMetrics, { once: true });
+                return;
+            }
+
+            // 优先使用 PerformanceNavigationTiming (Level 2)
+            const navigationEntries = performance.getEntriesByType?.('navigation');
+            const navEntry = navigationEntries?.[0];
+
+            let paintEntries = {};
+            try {
+                performance.getEntriesByType?.('paint')?.forEach(entry => {
+                    paintEntries[entry.name] = entry.startTime; // FP 和 FCP
+                });
+            } catch (paintError) {
+                console.warn("WebViewAPM Agent: Error getting Paint Timing:", paintError);
+            }
+
+            let data;
+            const timestamp = getTimestamp(); // 记录发生时间
+
+            if (navEntry) {
+                data = {
+                    timestamp: timestamp,
+                    url: navEntry.name || window.location.href,
+                    navigationStart: 0, // Level 2 时间是相对于 timeOrigin，所以 navigationStart 视为 0
+                    domContentLoadedEventEnd: navEntry.domContentLoadedEventEnd,
+                    loadEventEnd: navEntry.loadEventEnd,
+                    firstPaint: paintEntries['first-paint'],
+                    firstContentfulPaint: paintEntries['first-contentful-paint'],
+
+                    // --- 新增详细时间点 (Level 2) ---
+                    unloadEventStart: navEntry.unloadEventStart,
+                    unloadEventEnd: navEntry.unloadEventEnd,
+                    redirectStart: navEntry.redirectStart,
+                    redirectEnd: navEntry.redirectEnd,
+                    fetchStart: navEntry.fetchStart,
+                    domainLookupStart: navEntry.domainLookupStart,
+                    domainLookupEnd: navEntry.domainLookupEnd,
+                    connectStart: navEntry.connectStart,
+                    connectEnd: navEntry.connectEnd,
+                    secureConnectionStart: navEntry.secureConnectionStart, // 可能为 0
+                    requestStart: navEntry.requestStart,
+                    responseStart: navEntry.responseStart,
+                    responseEnd: navEntry.responseEnd,
+                    domInteractive: navEntry.domInteractive,
+                    domContentLoadedEventStart: navEntry.domContentLoadedEventStart,
+                    domComplete: navEntry.domComplete,
+                    loadEventStart: navEntry.loadEventStart,
+
+                    // --- Level 2 Only 详细信息 ---
+                    workerStart: navEntry.workerStart, // 可能为 0
+                    transferSize: navEntry.transferSize,
+                    encodedBodySize: navEntry.encodedBodySize,
+                    decodedBodySize: navEntry.decodedBodySize
+                };
+                // 将 0 值转换成 null，因为 0 在 Level 2 中表示未发生或不适用
+                for (const key in data) {
+                    if (data[key] === 0 && key !== 'navigationStart') { // navigationStart 基准保持 0
+                        data[key] = null;
+                    }
+                }
+            } else if (performance.timing) {
+                // Fallback 到 PerformanceTiming (Level 1)
+                const timing = performance.timing;
+                // Level 1 的基准时间戳，同时也是 performance.now() 的基准，换算后的相对时间与 timeOrigin 时基一致
+                const navigationStart = timing.navigationStart;
+                // 辅助函数处理 Level 1 时间戳转换
+                const getRelativeTime = (absoluteTime) => {
+                    // 如果绝对时间为 0 (表示未发生) 或 navigationStart 无效，返回 null
+                    if (!absoluteTime || !navigationStart) return null;
+                    // 否则返回相对时间
+                    return absoluteTime - navigationStart;
+                };
+
+                data = {
+                    timestamp: timestamp,
+                    url: window.location.href,
+                    navigationStart: 0, // 统一基准为 0
+                    domContentLoadedEventEnd: getRelativeTime(timing.domContentLoadedEventEnd),
+                    loadEventEnd: getRelativeTime(timing.loadEventEnd),
+                    firstPaint: paintEntries['first-paint'], // FP/FCP 仍可能来自 PaintTiming
+                    firstContentfulPaint: paintEntries['first-contentful-paint'],
+
+                    // --- 新增详细时间点 (Level 1 Fallback) ---
+                    unloadEventStart: getRelativeTime(timing.unloadEventStart),
+                    unloadEventEnd: getRelativeTime(timing.unloadEventEnd),
+                    redirectStart: getRelativeTime(timing.redirectStart),
+                    redirectEnd: getRelativeTime(timing.redirectEnd),
+                    fetchStart: getRelativeTime(timing.fetchStart),
+                    domainLookupStart: getRelativeTime(timing.domainLookupStart),
+                    domainLookupEnd: getRelativeTime(timing.domainLookupEnd),
+                    connectStart: getRelativeTime(timing.connectStart),
+                    connectEnd: getRelativeTime(timing.connectEnd),
+                    // secureConnectionStart 在 Level 1 中不存在
+                    secureConnectionStart: null,
+                    requestStart: getRelativeTime(timing.requestStart),
+                    responseStart: getRelativeTime(timing.responseStart),
+                    responseEnd: getRelativeTime(timing.responseEnd),
+                    domInteractive: getRelativeTime(timing.domInteractive),
+                    domContentLoadedEventStart: getRelativeTime(timing.domContentLoadedEventStart),
+                    domComplete: getRelativeTime(timing.domComplete),
+                    loadEventStart: getRelativeTime(timing.loadEventStart),
+
+                    // --- Level 2 Only 字段在 Level 1 中不存在 ---
+                    workerStart: null,
+                    transferSize: null,
+                    encodedBodySize: null,
+                    decodedBodySize: null
+                };
+            } else {
+                console.warn("WebViewAPM Agent: Navigation Timing API not fully supported.");
+                return; // 无法获取数据
+            }
+
+            // Total Blocking Time: FCP 到 load 事件结束之间长任务超出 50ms 部分之和 (以 load 近似可交互时间)
+            data.totalBlockingTime = computeTotalBlockingTime(data.firstContentfulPaint, data.loadEventEnd || performance.now());
+
+            // 过滤掉结果为 Infinity 的值 (可能在某些异常情况下出现)
+            for (const key in data) {
+                if (data[key] === Infinity || data[key] === -Infinity) {
+                    data[key] = null;
+                }
+            }
+
+            sendToNative('pageLoad', data);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error capturing page load metrics:", e);
+            // 尝试上报这个错误
+            sendToNative('jsError', { timestamp: getTimestamp(), message: 'Error capturing page load metrics: ' + e.message, stack: e.stack });
+        }
+    }
+
+    // --- 长任务与主线程阻塞监控 ---
+    // 优先使用 long-animation-frame (带脚本归因)，其次 longtask；两者均不支持时以定时器漂移检测主线程阻塞
+    const LONG_TASK_THRESHOLD = 50; // 超过该时长 (ms) 的任务视为长任务，超出部分计入阻塞时间
+    const DRIFT_CHECK_INTERVAL = 50; // 定时器漂移检测的间隔 (ms)
+    const MAX_LONG_TASK_HISTORY = 200; // 用于计算 TBT 的长任务历史上限
+
+    const longTaskHistory = []; // { startTime, duration, allowance }，按时间顺序
+    let longTaskSupported = false; // 长任务采集器是否已安装且能覆盖 TBT 的计算区间，否则 TBT 为 null
+
+    // allowance: 时长中不计入阻塞的部分，长任务为 LONG_TASK_THRESHOLD，timer-drift 为预期的检测间隔
+    function reportLongTask(source, startTime, duration, attribution, allowance) {
+        if (allowance === undefined) allowance = LONG_TASK_THRESHOLD;
+        if (longTaskHistory.length < MAX_LONG_TASK_HISTORY) {
+            longTaskHistory.push({ startTime: startTime, duration: duration, allowance: allowance });
+        }
+        sendToNative('longTask', {
+            timestamp: getTimestamp(),
+            source: source, // long-animation-frame | longtask | timer-drift
+            startTime: startTime,
+            duration: duration,
+            blockingTime: Math.max(0, duration - allowance),
+            attribution: attribution,
+            route: currentRoute
+        });
+    }
+
+    // 计算 FCP 到 endTime 之间的 Total Blocking Time
+    function computeTotalBlockingTime(fcp, endTime) {
+        if (!longTaskSupported || !fcp || !endTime) return null;
+        return longTaskHistory.reduce((total, task) => {
+            const taskEnd = task.startTime + task.duration;
+            if (taskEnd <= fcp || task.startTime >= endTime) return total;
+            // 只计算落在 [fcp, endTime] 区间内的部分
+            const start = Math.max(task.startTime, fcp);
+            const end = Math.min(taskEnd, endTime);
+            return total + Math.max(0, end - start - task.allowance);
+        }, 0);
+    }
+
+    function captureLongTasks() {
+        try {
+            longTaskSupported = true;
+
+            if (isEntryTypeSupported('long-animation-frame')) {
+                const observer = new PerformanceObserver((list) => {
+                    list.getEntries().forEach(entry => {
+                        const attribution = (entry.scripts || []).map(script => ({
+                            scriptUrl: script.sourceURL || null,
+                            functionName: script.sourceFunctionName || null,
+                            invoker: script.invoker || null,
+                            invokerType: script.invokerType || null,
+                            duration: script.duration
+                        }));
+                        reportLongTask('long-animation-frame', entry.startTime, entry.duration, attribution);
+                    });
+                });
+                observer.observe({ type: 'long-animation-frame', buffered: true });
+                addTeardownTask(() => observer.disconnect());
+                return;
+            }
+
+            if (isEntryTypeSupported('longtask')) {
+                const observer = new PerformanceObserver((list) => {
+                    list.getEntries().forEach(entry => {
+                        // longtask 只能归因到所在的 frame/容器，无法定位到具体脚本
+                        const attribution = (entry.attribution || []).map(item => ({
+                            scriptUrl: item.containerSrc || null,
+                            functionName: null,
+                            invoker: item.containerName || item.containerId || null,
+                            invokerType: item.containerType || null,
+                            duration: null
+                        }));
+                        reportLongTask('longtask', entry.startTime, entry.duration, attribution);
+                    });
+                });
+                observer.observe({ type: 'longtask', buffered: true });
+                addTeardownTask(() => observer.disconnect());
+                return;
+            }
+
+            // 定时器漂移检测：定时器实际触发时间晚于预期说明主线程被阻塞
+            // load 之后仍持续检测；页面在后台时定时器会被节流，暂停轮询
+            if (document.readyState === 'complete') {
+                longTaskSupported = false; // 注入时页面已加载完成，无法覆盖 TBT 的计算区间，只上报之后的阻塞
+            }
+            let lastTick = 0;
+            let driftTimer = null;
+            const check = () => {
+                const now = performance.now();
+                const gap = now - lastTick;
+                // 两次触发的间隔比检测间隔多出 LONG_TASK_THRESHOLD 以上说明期间主线程被阻塞，
+                // 整个间隔计为任务时长，超出预期检测间隔的部分计为阻塞时间
+                if (gap - DRIFT_CHECK_INTERVAL > LONG_TASK_THRESHOLD) {
+                    reportLongTask('timer-drift', lastTick, gap, [], DRIFT_CHECK_INTERVAL);
+                }
+                lastTick = now;
+                driftTimer = setTimeout(check, DRIFT_CHECK_INTERVAL);
+            };
+            const startPolling = () => {
+                if (driftTimer !== null || document.visibilityState === 'hidden') return;
+                lastTick = performance.now();
+                driftTimer = setTimeout(check, DRIFT_CHECK_INTERVAL);
+            };
+            const stopPolling = () => {
+                clearTimeout(driftTimer);
+                driftTimer = null;
+            };
+            addAgentListener(document, 'visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    stopPolling();
+                } else {
+                    startPolling();
+                }
+            });
+            startPolling();
+            addTeardownTask(stopPolling);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up long task capture:", e);
+        }
+    }
+
+    // --- 运行时健康采样 ---
+    // 每隔 runtime.sampleInterval 上报一条 runtimeSample：JS 堆内存 (如果可用)、DOM 节点数及增长、滚动/动画期间的帧率与掉帧
+    // 帧率只在滚动、触摸移动和 CSS 动画/过渡期间通过 requestAnimationFrame 测量，空闲时不占用主线程；页面在后台时暂停采样
+    const FRAME_BUDGET = 1000 / 60; // WKWebView 的 requestAnimationFrame 默认上限为 60fps
+    const ANIMATION_IDLE_TIMEOUT = 1000; // 最后一次滚动/动画活动后继续测量帧率的时间 (ms)
+    const ANIMATION_ACTIVITY_EVENTS = ['scroll', 'touchmove', 'wheel', 'animationstart', 'animationiteration', 'transitionstart'];
+    let runtimeSampleTimer = null;
+    let lastRuntimeSampleTime = 0;
+    let lastDomNodeCount = null;
+    let frameLoopId = null;
+    let lastFrameTime = null;
+    let lastAnimationActivity = 0;
+    let frameStats = createFrameStats();
+
+    function createFrameStats() {
+        return { frames: 0, droppedFrames: 0, animationTime: 0, longestFrame: 0 };
+    }
+
+    function onAnimationFrame(now) {
+        if (lastFrameTime !== null) {
+            const delta = now - lastFrameTime;
+            frameStats.frames++;
+            frameStats.animationTime += delta;
+            frameStats.droppedFrames += Math.max(0, Math.round(delta / FRAME_BUDGET) - 1);
+            frameStats.longestFrame = Math.max(frameStats.longestFrame, delta);
+        }
+        lastFrameTime = now;
+        if (performance.now() - lastAnimationActivity < ANIMATION_IDLE_TIMEOUT && document.visibilityState !== 'hidden') {
+            frameLoopId = requestAnimationFrame(onAnimationFrame);
+        } else {
+            stopFrameLoop();
+        }
+    }
+
+    function stopFrameLoop() {
+        if (frameLoopId !== null) cancelAnimationFrame(frameLoopId);
+        frameLoopId = null;
+        lastFrameTime = null;
+    }
+
+    function noteAnimationActivity() {
+        lastAnimationActivity = performance.now();
+        if (frameLoopId === null && runtimeSampleTimer !== null) {
+            frameLoopId = requestAnimationFrame(onAnimationFrame);
+        }
+    }
+
+    function getMemoryUsage() {
+        // performance.memory 为非标准 API，WebKit 目前不提供
+        const memory = performance.memory;
+        if (memory && memory.usedJSHeapSize > 0) {
+            return Promise.resolve({
+                memorySource: 'performance.memory',
+                jsHeapUsed: memory.usedJSHeapSize,
+                jsHeapTotal: memory.totalJSHeapSize,
+                jsHeapLimit: memory.jsHeapSizeLimit
+            });
+        }
+        // 仅在跨源隔离 (crossOriginIsolated) 的页面中可用，结果可能延迟数秒返回
+        if (typeof performance.measureUserAgentSpecificMemory === 'function' && window.crossOriginIsolated) {
+            return performance.measureUserAgentSpecificMemory()
+                .then(result => ({ memorySource: 'measureUserAgentSpecificMemory', jsHeapUsed: result.bytes, jsHeapTotal: null, jsHeapLimit: null }))
+                .catch(() => null);
+        }
+        return Promise.resolve(null);
+    }
+
+    function takeRuntimeSample(options) {
+        try {
+            const now = performance.now();
+            const domNodeCount = document.getElementsByTagName('*').length;
+            const stats = frameStats;
+            const data = {
+                timestamp: getTimestamp(),
+                url: window.location.href,
+                route: currentRoute,
+                sampleDuration: now - lastRuntimeSampleTime, // 本次采样覆盖的时长 (ms)
+                memorySource: null,
+                jsHeapUsed: null,
+                jsHeapTotal: null,
+                jsHeapLimit: null,
+                domNodeCount: domNodeCount,
+                domNodeDelta: lastDomNodeCount === null ? null : domNodeCount - lastDomNodeCount,
+                animationTime: stats.animationTime, // 采样期间测量帧率的总时长 (ms)，为 0 表示没有滚动或动画
+                frameCount: stats.frames,
+                fps: stats.animationTime > 0 ? stats.frames * 1000 / stats.animationTime : null,
+                droppedFrames: stats.droppedFrames,
+                droppedFramePercent: stats.frames > 0 ? stats.droppedFrames * 100 / (stats.frames + stats.droppedFrames) : null,
+                longestFrame: stats.animationTime > 0 ? stats.longestFrame : null
+            };
+            lastRuntimeSampleTime = now;
+            lastDomNodeCount = domNodeCount;
+            frameStats = createFrameStats();
+
+            getMemoryUsage().then(memory => {
+                if (memory) Object.assign(data, memory);
+                sendToNative('runtimeSample', data, options);
+            });
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error taking runtime sample:", e);
+        }
+    }
+
+    function scheduleRuntimeSample() {
+        runtimeSampleTimer = setTimeout(() => {
+            takeRuntimeSample();
+            scheduleRuntimeSample();
+        }, agentConfig.runtime.sampleInterval);
+    }
+
+    function startRuntimeSampling() {
+        if (runtimeSampleTimer !== null) return;
+        lastRuntimeSampleTime = performance.now();
+        frameStats = createFrameStats();
+        scheduleRuntimeSample();
+    }
+
+    function pauseRuntimeSampling() {
+        if (runtimeSampleTimer === null) return;
+        clearTimeout(runtimeSampleTimer);
+        runtimeSampleTimer = null;
+        stopFrameLoop();
+        // 上报进入后台前未满一个周期的数据
+        takeRuntimeSample({ flush: true });
+    }
+
+    function captureRuntimeSamples() {
+        try {
+            ANIMATION_ACTIVITY_EVENTS.forEach(type => {
+                // scroll 事件不冒泡，在捕获阶段监听以覆盖页面内的滚动容器
+                addAgentListener(document, type, noteAnimationActivity, { capture: true, passive: true });
+            });
+            addAgentListener(document, 'visibilitychange', () => {
+                if (document.visibilityState !== 'hidden') startRuntimeSampling();
+            });
+            onPageHidden(pauseRuntimeSampling);
+            if (document.visibilityState !== 'hidden') startRuntimeSampling();
+            addTeardownTask(() => {
+                clearTimeout(runtimeSampleTimer);
+                runtimeSampleTimer = null;
+                stopFrameLoop();
+            });
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up runtime sampling:", e);
+        }
+    }
+
+    // --- Core Web Vitals 监控 (LCP / CLS / INP / TTFB) ---
+    // 各指标在页面首次进入后台 (visibilitychange: hidden) 或 pagehide 时汇总为一条 webVitals 记录
+    const CLS_SESSION_GAP = 1000; // 同一会话窗口内相邻布局偏移的最大间隔 (ms)
+    const CLS_SESSION_MAX_DURATION = 5000; // 单个会话窗口的最长持续时间 (ms)
+    const INP_DURATION_THRESHOLD = 40; // event 条目的最小观察时长 (ms)
+    const MAX_LONG_EVENTS = 5; // 上报的最慢交互数量
+    const MAX_CLS_SOURCES = 3; // 上报的偏移贡献最大的节点数量
+
+    function captureWebVitals() {
+        try {
+            const vitals = {
+                lcp: null, lcpElement: null, lcpUrl: null, lcpSize: null,
+                cls: null, clsSources: [],
+                inp: null, inpEventType: null, inpTarget: null, longEvents: [],
+                ttfb: null
+            };
+            const unavailableReasons = {};
+            let reported = false;
+
+            // --- LCP ---
+            let lcpObserver = null;
+            if (!isEntryTypeSupported('largest-contentful-paint')) {
+                unavailableReasons.lcp = 'largest-contentful-paint entry type not supported';
+            } else {
+                lcpObserver = new PerformanceObserver((list) => {
+                    const entries = list.getEntries();
+                    const entry = entries[entries.length - 1];
+                    if (!entry) return;
+                    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+                    vitals.lcpElement = entry.element ? getElementSelector(entry.element) : null;
+                    vitals.lcpUrl = entry.url || null;
+                    vitals.lcpSize = entry.size;
+                });
+                lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
+                addTeardownTask(() => lcpObserver && lcpObserver.disconnect()); // 用户输入后 lcpObserver 已断开并置空
+
+                // 用户首次交互后浏览器不再产生新的 LCP 候选，停止观察
+                const stopLCP = () => {
+                    if (lcpObserver) {
+                        lcpObserver.takeRecords?.();
+                        lcpObserver.disconnect();
+                        lcpObserver = null;
+                    }
+                };
+                ['keydown', 'pointerdown'].forEach(type => {
+                    addAgentListener(window, type, stopLCP, { once: true, capture: true });
+                });
+            }
+
+            // --- CLS (会话窗口算法) ---
+            if (!isEntryTypeSupported('layout-shift')) {
+                unavailableReasons.cls = 'layout-shift entry type not supported';
+            } else {
+                let sessionValue = 0;
+                let sessionSources = {};
+                let sessionFirstTime = 0;
+                let sessionLastTime = 0;
+                const clsObserver = new PerformanceObserver((list) => {
+                    list.getEntries().forEach(entry => {
+                        if (entry.hadRecentInput) return; // 用户输入后 500ms 内的偏移不计入
+
+                        if (sessionValue > 0 &&
+                            (entry.startTime - sessionLastTime >= CLS_SESSION_GAP ||
+                             entry.startTime - sessionFirstTime >= CLS_SESSION_MAX_DURATION)) {
+                            sessionValue = 0;
+                            sessionSources = {};
+                        }
+                        if (sessionValue === 0) sessionFirstTime = entry.startTime;
+                        sessionLastTime = entry.startTime;
+                        sessionValue += entry.value;
+
+                        (entry.sources || []).forEach(source => {
+                            // 文本节点等非 Element 节点无法生成选择器，跳过而不是归入 "null"
+                            const selector = source.node ? getElementSelector(source.node) : null;
+                            if (!selector) return;
+                            sessionSources[selector] = (sessionSources[selector] || 0) + entry.value;
+                        });
+
+                        // 只保留数值最大的会话窗口
+                        if (vitals.cls === null || sessionValue > vitals.cls) {
+                            vitals.cls = sessionValue;
+                            vitals.clsSources = Object.keys(sessionSources)
+                                .map(selector => ({ selector: selector, value: sessionSources[selector] }))
+                                .sort((a, b) => b.value - a.value)
+                                .slice(0, MAX_CLS_SOURCES);
+                        }
+                    });
+                });
+                clsObserver.observe({ type: 'layout-shift', buffered: true });
+                addTeardownTask(() => clsObserver.disconnect());
+                vitals.cls = 0; // 支持 layout-shift 但尚未发生偏移时 CLS 为 0
+            }
+
+            // --- INP / 长事件 ---
+            const interactions = {}; // interactionId -> 该交互中最长的 event 条目
+            if (!isEntryTypeSupported('event')) {
+                unavailableReasons.inp = 'event entry type not supported';
+            } else {
+                const eventObserver = new PerformanceObserver((list) => {
+                    list.getEntries().forEach(entry => {
+                        if (!entry.interactionId) return; // 只统计离散交互 (点击、按键等)
+                        const existing = interactions[entry.interactionId];
+                        if (!existing || entry.duration > existing.duration) {
+                            interactions[entry.interactionId] = entry;
+                        }
+                    });
+                });
+                eventObserver.observe({ type: 'event', buffered: true, durationThreshold: INP_DURATION_THRESHOLD });
+                addTeardownTask(() => eventObserver.disconnect());
+                if (isEntryTypeSupported('first-input')) {
+                    eventObserver.observe({ type: 'first-input', buffered: true });
+                }
+            }
+
+            // --- TTFB ---
+            const computeTTFB = () => {
+                const navEntry = performance.getEntriesByType?.('navigation')?.[0];
+                if (navEntry && navEntry.responseStart > 0) {
+                    // 预渲染页面以激活时间为起点
+                    return Math.max(0, navEntry.responseStart - (navEntry.activationStart || 0));
+                }
+                const timing = performance.timing;
+                if (timing && timing.responseStart && timing.navigationStart) {
+                    return timing.responseStart - timing.navigationStart;
+                }
+                return null;
+            };
+
+            const finalizeINP = () => {
+                const sorted = Object.keys(interactions)
+                    .map(id => interactions[id])
+                    .sort((a, b) => b.duration - a.duration);
+                if (sorted.length === 0) {
+                    if (!unavailableReasons.inp) unavailableReasons.inp = 'no interactions observed';
+                    return;
+                }
+                // 每 50 次交互忽略一次最慢值，近似第 98 百分位
+                const inpEntry = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+                vitals.inp = inpEntry.duration;
+                vitals.inpEventType = inpEntry.name;
+                vitals.inpTarget = inpEntry.target ? getElementSelector(inpEntry.target) : null;
+                vitals.longEvents = sorted.slice(0, MAX_LONG_EVENTS).map(entry => ({
+                    eventType: entry.name,
+                    target: entry.target ? getElementSelector(entry.target) : null,
+                    startTime: entry.startTime,
+                    duration: entry.duration,
+                    inputDelay: entry.processingStart - entry.startTime,
+                    processingTime: entry.processingEnd - entry.processingStart,
+                    presentationDelay: Math.max(0, entry.startTime + entry.duration - entry.processingEnd)
+                }));
+            };
+
+            const report = () => {
+                if (reported) return;
+                reported = true;
+                try {
+                    if (lcpObserver) lcpObserver.takeRecords?.();
+                    vitals.ttfb = computeTTFB();
+                    if (vitals.ttfb === null) unavailableReasons.ttfb = 'navigation timing not available';
+                    if (vitals.lcp === null && !unavailableReasons.lcp) unavailableReasons.lcp = 'no largest-contentful-paint entry observed';
+                    finalizeINP();
+
+                    const data = Object.assign({
+                        timestamp: getTimestamp(),
+                        url: window.location.href
+                    }, vitals, { unavailableReasons: unavailableReasons });
+                    sendToNative('webVitals', data, { flush: true });
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error reporting web vitals:", e);
+                }
+            };
+
+            onPageHidden(report);
+            onPageHide(report);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up web vitals capture:", e);
+        }
+    }
+
+    // --- 资源加载性能监控 (Checklist Item 4 - Resource Load) ---
+    // 通过 PerformanceObserver 持续观察 resource 条目，懒加载的图片、异步 chunk、字体等同样会被上报
+    const MAX_RESOURCE_BUFFER_SIZE = 4000; // 缓冲区满时逐步扩容的上限
+    const MAX_REPORTED_RESOURCE_KEYS = 1000;
+
+    const reportedResources = new Set(); // 已上报条目的键 (name|startTime)，超过上限时淘汰最早的键
+    let resourceBufferWatched = false;
+
+    // 缓冲区满时浏览器停止记录新条目，页面自身的 getEntriesByType 也随之失效：
+    // 成倍扩大缓冲区 (不清空页面已有的条目)，达到 MAX_RESOURCE_BUFFER_SIZE 后不再扩大
+    function watchResourceTimingBuffer() {
+        if (resourceBufferWatched || !performance.addEventListener || typeof performance.setResourceTimingBufferSize !== 'function') return;
+        resourceBufferWatched = true;
+        addAgentListener(performance, 'resourcetimingbufferfull', () => {
+            try {
+                const currentSize = performance.getEntriesByType('resource').length;
+                if (currentSize >= MAX_RESOURCE_BUFFER_SIZE) return;
+                performance.setResourceTimingBufferSize(Math.min(Math.max(currentSize * 2, 250), MAX_RESOURCE_BUFFER_SIZE));
+            } catch (e) {
+                console.error("WebViewAPM Agent: Error handling resource timing buffer full:", e);
+            }
+        });
+    }
+
+    function resourcePhase(start, end) {
+        // 跨域且无 Timing-Allow-Origin 时各阶段时间为 0，此时返回 null 表示不可用
+        if (!start || !end || end < start) return null;
+        return end - start;
+    }
+
+    function reportResourceEntry(resource) {
+        try {
+            const rules = agentConfig.resource;
+            if ((rules.ignoreInitiatorTypes || []).includes(resource.initiatorType) || !isUrlAllowed(resource.name, rules)) {
+                return;
+            }
+            if (isAgentTransportUrl(resource.name)) return; // Agent 自身通过 urlScheme 发送的消息
+            const key = resource.name + '|' + resource.startTime;
+            if (reportedResources.has(key)) return;
+            reportedResources.add(key);
+            if (reportedResources.size > MAX_REPORTED_RESOURCE_KEYS) {
+                reportedResources.delete(reportedResources.values().next().value);
+            }
+
+            // transferSize 为 0 而 decodedBodySize 不为 0 说明命中本地缓存；均为 0 时 (跨域无 TAO) 无法判断
+            let cacheHit = null;
+            if (resource.transferSize > 0) {
+                cacheHit = false;
+            } else if (resource.transferSize === 0 && resource.decodedBodySize > 0) {
+                cacheHit = true;
+            }
+
+            const data = {
+                timestamp: getTimestamp(), // 记录发生时间
+                url: resource.name,
+                initiatorType: resource.initiatorType,
+                route: currentRoute,
+                startTime: resource.startTime, // 相对于 timeOrigin
+                duration: resource.duration,
+                fetchStart: resource.fetchStart || null,
+                responseEnd: resource.responseEnd || null,
+
+                // --- 各阶段耗时 (ms) ---
+                dnsTime: resourcePhase(resource.domainLookupStart, resource.domainLookupEnd),
+                connectTime: resourcePhase(resource.connectStart, resource.connectEnd),
+                tlsTime: resourcePhase(resource.secureConnectionStart, resource.connectEnd),
+                ttfb: resourcePhase(resource.requestStart, resource.responseStart),
+                downloadTime: resourcePhase(resource.responseStart, resource.responseEnd),
+
+                transferSize: resource.transferSize,
+                encodedBodySize: resource.encodedBodySize,
+                decodedBodySize: resource.decodedBodySize,
+                nextHopProtocol: resource.nextHopProtocol || null,
+                renderBlockingStatus: resource.renderBlockingStatus || null,
+                cacheHit: cacheHit
+            };
+            sendToNative('resourceLoad', data);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error reporting resource entry:", e);
+        }
+    }
+
+    function captureResourceLoadMetrics() {
+        try {
+            if (typeof performance.getEntriesByType !== 'function') {
+                console.warn("WebViewAPM Agent: Resource Timing API not supported.");
+                return;
+            }
+            watchResourceTimingBuffer();
+
+            if (!isEntryTypeSupported('resource')) {
+                // 不支持 PerformanceObserver 时退化为 load 之后的一次性扫描
+                const sweep = () => setTimeout(() => performance.getEntriesByType('resource').forEach(reportResourceEntry), 50);
+                if (document.readyState === 'complete') {
+                    sweep();
+                } else {
+                    addAgentListener(window, 'load', sweep, { once: true });
+                }
+                return;
+            }
+
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach(reportResourceEntry);
+                notifySPAActivity(); // 资源加载同样视为软导航中的网络活动
+            });
+            observer.observe({ type: 'resource', buffered: true });
+            addTeardownTask(() => observer.disconnect());
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error capturing resource load metrics:", e);
+            sendToNative('jsError', { timestamp: getTimestamp(), message: 'Error capturing resource load metrics: ' + e.message, stack: e.stack });
+        }
     }
 
     // --- JS 错误监控 (Checklist Item 5) ---
+    // 每条 jsError 附带:
+    // - breadcrumbs: 错误发生前最近的用户行为 (点击、路由变化、API 调用、console 警告/错误)
+    // - frames: 由 stack 字符串解析出的结构化调用帧
+    // - fingerprint: 由归一化调用栈计算的指纹，相同指纹的错误会被合并并累加 count
+    const MAX_STACK_FRAMES = 50;
+    const FINGERPRINT_FRAME_COUNT = 5;
+    const CONSOLE_MESSAGE_MAX_LENGTH = 1000;
+    const breadcrumbs = [];
+    let isCapturingConsole = false; // 防止上报过程中的 console 调用再次被捕获
+
+    function addBreadcrumb(category, message, level, url) {
+        try {
+            const maxBreadcrumbs = agentConfig.jsError.maxBreadcrumbs;
+            if (!(maxBreadcrumbs > 0)) return;
+            breadcrumbs.push({
+                timestamp: getTimestamp(),
+                category: category, // click / navigation / api / console
+                level: level || 'info', // info / warning / error
+                message: message,
+                url: url || null
+            });
+            if (breadcrumbs.length > maxBreadcrumbs) breadcrumbs.splice(0, breadcrumbs.length - maxBreadcrumbs);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error adding breadcrumb:", e);
+        }
+    }
+
+    function parseStackFrame(line) {
+        // WebKit: "functionName@https://example.com/app.js:10:5"、"global code@..."、"https://example.com/app.js:10:5"
+        // 兼容 V8 格式: "    at functionName (https://example.com/app.js:10:5)"
+        let match = /^\s*(?:(.*?)@)?(\[native code\])\s*$/.exec(line);
+        if (match) return { functionName: match[1] || null, file: match[2], line: null, column: null };
+        match = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/.exec(line) || /^\s*(?:(.*?)@)?(.+?):(\d+):(\d+)\s*$/.exec(line);
+        if (!match) return null;
+        return {
+            functionName: match[1] || null,
+            file: match[2],
+            line: parseInt(match[3], 10),
+            column: parseInt(match[4], 10)
+        };
+    }
+
+    function parseStack(stack) {
+        if (typeof stack !== 'string' || !stack) return [];
+        const frames = [];
+        stack.split('\n').some(line => {
+            const frame = parseStackFrame(line);
+            if (frame) frames.push(frame);
+            return frames.length >= MAX_STACK_FRAMES;
+        });
+        return frames;
+    }
+
+    function hashString(str) {
+        // 32 位 FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    function computeErrorFingerprint(errorType, message, frames) {
+        // 归一化: 去掉原生帧，文件只保留不含 query/hash 的路径；没有调用栈时使用数字被替换的错误信息
+        const normalizedFrames = frames
+            .filter(frame => frame.line !== null)
+            .slice(0, FINGERPRINT_FRAME_COUNT)
+            .map(frame => (frame.functionName || '?') + '@' + String(frame.file).split(/[?#]/)[0] + ':' + frame.line + ':' + frame.column);
+        const signature = normalizedFrames.length > 0
+            ? normalizedFrames.join('\n')
+            : String(message || '').replace(/\d+/g, '<n>');
+        return hashString((errorType || 'Error') + '|' + signature);
+    }
+
+    // 为错误记录补充来源、调用帧、指纹与 breadcrumbs 后上报
+    function reportJSError(data, source) {
+        try {
+            data.source = source; // onerror / unhandledrejection / console / csp / captureException
+            data.frames = parseStack(data.stack);
+            data.fingerprint = computeErrorFingerprint(data.errorType, data.message, data.frames);
+            data.breadcrumbs = breadcrumbs.slice();
+            data.interactionId = noteInteractionError(); // 用户交互观察期间发生的错误
+            sendToNative('jsError', data);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error reporting JS error:", e);
+        }
+    }
+
+    function formatConsoleArgs(args) {
+        const message = Array.prototype.map.call(args, arg => {
+            if (typeof arg === 'string') return arg;
+            if (arg instanceof Error) return arg.name + ': ' + arg.message;
+            return safeStringify(arg);
+        }).join(' ');
+        return message.length > CONSOLE_MESSAGE_MAX_LENGTH ? message.slice(0, CONSOLE_MESSAGE_MAX_LENGTH) + '...' : message;
+    }
+
+    function wrapConsoleMethod(method, level) {
+        const original = console[method];
+        if (typeof original !== 'function') return;
+        console[method] = function () {
+            // Agent 自身的日志不计入 breadcrumbs，也不上报
+            if (!isCapturingConsole && !(typeof arguments[0] === 'string' && arguments[0].indexOf('WebViewAPM Agent') === 0)) {
+                isCapturingConsole = true;
+                try {
+                    const message = formatConsoleArgs(arguments);
+                    if (method === 'error' && agentConfig.jsError.captureConsoleErrors) {
+                        const error = Array.prototype.find.call(arguments, arg => arg instanceof Error);
+                        reportJSError({
+                            timestamp: getTimestamp(),
+                            message: message,
+                            url: window.location.href,
+                            line: null,
+                            column: null,
+                            stack: error ? error.stack : null,
+                            errorType: error ? error.name : 'ConsoleError'
+                        }, 'console');
+                    }
+                    addBreadcrumb('console', message, level);
+                } catch (e) {
+                    // 忽略，避免影响页面日志输出
+                } finally {
+                    isCapturingConsole = false;
+                }
+            }
+            return original.apply(this, arguments);
+        };
+        restoreOnTeardown(console, method, original);
+    }
+
     function captureJSErrors() {
         try {
-            const originalOnError = window.onerror;
-            window.onerror = function (message, source, lineno, colno, error) {
-                try { // 内层 try-catch 保护日志逻辑本身
-                    const data = {
-                        timestamp: getTimestamp(),
-                        message: message,
-                        url: source,
-                        line: lineno,
-                        column: colno,
-                        stack: error ? error.stack : null,
-                        errorType: error ? error.name : null
-                    };
-                    sendToNative('jsError', data);
-                } catch (logError) {
-                    console.error("WebViewAPM Agent: Error logging in window.onerror:", logError);
+            const originalOnError = window.onerror;
+            window.onerror = function (message, source, lineno, colno, error) {
+                try { // 内层 try-catch 保护日志逻辑本身
+                    const data = {
+                        timestamp: getTimestamp(),
+                        message: message,
+                        url: source,
+                        line: lineno,
+                        column: colno,
+                        stack: error ? error.stack : null,
+                        errorType: error ? error.name : null
+                    };
+                    reportJSError(data, 'onerror');
+                } catch (logError) {
+                    console.error("WebViewAPM Agent: Error logging in window.onerror:", logError);
+                }
+
+                // 调用原始的 onerror (如果存在)
+                if (originalOnError) {
+                    // 用 try-catch 保护原始处理器的调用
+                    try { return originalOnError.apply(this, arguments); } catch (e) { /* ignore */ }
+                }
+                // 返回 false 以允许默认的浏览器错误处理继续
+                return false;
+            };
+            restoreOnTeardown(window, 'onerror', originalOnError);
+
+            addAgentListener(window, 'unhandledrejection', function (event) {
+                try { // 内层 try-catch 保护日志逻辑本身
+                    const reason = event.reason;
+                    let data = {
+                        timestamp: getTimestamp(),
+                        message: 'Unhandled Promise Rejection',
+                        stack: null,
+                        errorType: 'PromiseRejection'
+                    };
+                    if (reason instanceof Error) {
+                        data.message = reason.message;
+                        data.stack = reason.stack;
+                        data.errorType = reason.name;
+                    } else {
+                        // 如果 reason 不是 Error 对象，尝试转换为字符串
+                        try {
+                            data.message = safeStringify(reason);
+                        } catch (e) {
+                            data.message = 'Unhandled Promise Rejection with non-serializable reason';
+                        }
+                    }
+                    reportJSError(data, 'unhandledrejection');
+                } catch (logError) {
+                    console.error("WebViewAPM Agent: Error logging in unhandledrejection:", logError);
+                }
+            });
+
+            // 内容安全策略违规，例如被 CSP 拦截的脚本、图片或内联脚本
+            addAgentListener(document, 'securitypolicyviolation', function (event) {
+                try {
+                    if (!agentConfig.jsError.captureCSPViolations) return;
+                    reportJSError({
+                        timestamp: getTimestamp(),
+                        message: 'Refused to load ' + (event.blockedURI || 'resource') + ' because it violates the "' +
+                            (event.effectiveDirective || event.violatedDirective) + '" directive',
+                        url: event.sourceFile || event.documentURI || window.location.href,
+                        line: event.lineNumber || null,
+                        column: event.columnNumber || null,
+                        stack: null,
+                        errorType: 'SecurityPolicyViolation',
+                        csp: {
+                            blockedUrl: event.blockedURI || null,
+                            violatedDirective: event.violatedDirective || null,
+                            effectiveDirective: event.effectiveDirective || null,
+                            disposition: event.disposition || null, // enforce / report
+                            sample: event.sample || null
+                        }
+                    }, 'csp');
+                } catch (logError) {
+                    console.error("WebViewAPM Agent: Error logging in securitypolicyviolation:", logError);
+                }
+            }, true);
+
+            // 点击 breadcrumb，捕获阶段监听以免被页面 stopPropagation 拦截
+            addAgentListener(document, 'click', function (event) {
+                addBreadcrumb('click', getElementSelector(event.target));
+            }, true);
+
+            wrapConsoleMethod('warn', 'warning');
+            wrapConsoleMethod('error', 'error');
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up JS error capture:", e);
+        }
+    }
+
+    // --- 资源加载错误监控 ---
+    // 图片、脚本、样式等资源加载失败触发的 error 事件不会冒泡到 window.onerror，需要在捕获阶段监听
+    const OUTER_HTML_MAX_LENGTH = 200;
+
+    function isRenderBlockingElement(element) {
+        // 在 head 中同步加载的脚本和样式表会阻塞首次渲染
+        const tagName = element.tagName;
+        if (tagName === 'SCRIPT') {
+            return !element.async && !element.defer && element.type !== 'module' && !!element.closest?.('head');
+        }
+        if (tagName === 'LINK') {
+            return /\bstylesheet\b/i.test(element.rel || '') && !element.media?.match(/^print$/i);
+        }
+        return false;
+    }
+
+    function findResourceEntry(url) {
+        // 失败的资源同样会产生 Resource Timing 条目 (多数情况下 transferSize 为 0)
+        try {
+            const entries = performance.getEntriesByName?.(url, 'resource') || [];
+            return entries[entries.length - 1] || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function captureResourceErrors() {
+        try {
+            addAgentListener(window, 'error', function (event) {
+                try {
+                    const target = event.target;
+                    // 脚本运行时错误的 target 是 window，交由 window.onerror 处理
+                    if (!target || target === window || target.nodeType !== 1) return;
+
+                    const url = target.currentSrc || target.src || target.href || null;
+                    const entry = url ? findResourceEntry(url) : null;
+                    let outerHTML = null;
+                    try {
+                        outerHTML = target.outerHTML ? target.outerHTML.slice(0, OUTER_HTML_MAX_LENGTH) : null;
+                    } catch (e) { } // 忽略获取 outerHTML 的错误
+
+                    const data = {
+                        timestamp: getTimestamp(),
+                        url: url,
+                        tagName: target.tagName.toLowerCase(),
+                        selector: getElementSelector(target),
+                        outerHTML: outerHTML,
+                        renderBlocking: entry && entry.renderBlockingStatus
+                            ? entry.renderBlockingStatus === 'blocking'
+                            : isRenderBlockingElement(target),
+                        route: currentRoute,
+                        // --- 对应的 Resource Timing 条目 (如果存在) ---
+                        startTime: entry ? entry.startTime : null,
+                        duration: entry ? entry.duration : null,
+                        transferSize: entry ? entry.transferSize : null,
+                        responseStatus: entry && entry.responseStatus ? entry.responseStatus : null
+                    };
+                    sendToNative('resourceError', data);
+                } catch (logError) {
+                    console.error("WebViewAPM Agent: Error logging resource error:", logError);
+                }
+            }, true); // 捕获阶段
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up resource error capture:", e);
+        }
+    }
+
+    // --- 分布式追踪 (Trace Header 注入) ---
+    // 为匹配的 XHR/fetch 请求生成 trace/span ID 并注入追踪 Header，apiCall 记录携带相同 ID 以便关联后端 span
+    // 同源请求默认注入 (tracing.sameOrigin 可关闭)，跨域请求只有匹配 tracing.allowedOrigins 时才注入，避免触发 CORS 预检
+
+    function randomHex(byteLength) {
+        const bytes = new Uint8Array(byteLength);
+        if (window.crypto && typeof window.crypto.getRandomValues === 'function') {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < byteLength; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return Array.prototype.map.call(bytes, b => ('0' + b.toString(16)).slice(-2)).join('');
+    }
+
+    function shouldInjectTraceHeaders(url) {
+        const tracing = agentConfig.tracing;
+        if (!tracing.enabled) return false;
+        let origin;
+        try {
+            origin = new URL(String(url), window.location.href).origin;
+        } catch (e) {
+            return false;
+        }
+        if (origin === window.location.origin) {
+            return tracing.sameOrigin !== false;
+        }
+        return (tracing.allowedOrigins || []).some(pattern => matchesOriginPattern(origin, pattern));
+    }
+
+    // 页面已经自行设置的追踪 Header：不再注入 (XHR 的 setRequestHeader 会把同名值追加到页面的值后面)，
+    // apiCall 记录沿用页面的 trace/span ID；无法解析时返回的 ID 为 null
+    function getExistingTraceContext(getHeader) {
+        const traceparent = getHeader('traceparent');
+        const b3 = getHeader('b3');
+        const b3TraceId = getHeader('x-b3-traceid');
+        if (!traceparent && !b3 && !b3TraceId) return null;
+        let match = traceparent && /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-[\da-f]{2}/i.exec(String(traceparent).trim());
+        if (!match && b3) match = /^([\da-f]{16,32})-([\da-f]{16})/i.exec(String(b3).trim());
+        if (!match && b3TraceId) match = [null, String(b3TraceId), getHeader('x-b3-spanid') || null];
+        return { traceId: match ? match[1] : null, spanId: match ? match[2] : null, headers: {} };
+    }
+
+    // 返回 { traceId, spanId, headers }，不需要注入时返回 null
+    // getHeader(name) 返回页面为该请求设置的 Header 值 (name 为小写)
+    function createTraceContext(url, getHeader) {
+        try {
+            if (!shouldInjectTraceHeaders(url)) return null;
+            const existing = getExistingTraceContext(getHeader);
+            if (existing) return existing;
+            const traceId = randomHex(16);
+            const spanId = randomHex(8);
+            const headers = {};
+            (agentConfig.tracing.propagators || []).forEach(propagator => {
+                if (propagator === 'w3c') {
+                    headers['traceparent'] = '00-' + traceId + '-' + spanId + '-01';
+                    if (agentConfig.tracing.tracestate) {
+                        headers['tracestate'] = agentConfig.tracing.tracestate;
+                    }
+                } else if (propagator === 'b3') {
+                    headers['b3'] = traceId + '-' + spanId + '-1';
+                } else if (propagator === 'b3multi') {
+                    headers['X-B3-TraceId'] = traceId;
+                    headers['X-B3-SpanId'] = spanId;
+                    headers['X-B3-Sampled'] = '1';
+                }
+            });
+            return { traceId: traceId, spanId: spanId, headers: headers };
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error creating trace context:", e);
+            return null;
+        }
+    }
+
+    // --- API 调用详情辅助函数 ---
+    const API_TIMING_RETRY_DELAYS = [0, 250, 1000]; // 等待对应 Resource Timing 条目出现的重试间隔 (ms)
+    const REDACTED = '[REDACTED]';
+
+    // API 请求对应的 Resource Timing 条目由 PerformanceObserver 收集 (不依赖可能已满的 Resource Timing 缓冲区)，
+    // 关联到 apiCall 后即移除，避免同一 URL 的并发请求关联到同一条目；未被关联的条目超过上限时淘汰最早的
+    const MAX_PENDING_API_ENTRIES = 200;
+    const pendingApiEntries = [];
+    let apiEntriesObserved = false;
+    const BYTE_LENGTH_CHUNK_SIZE = 16 * 1024; // 使用 TextEncoder 计算字节数时每次编码的字符数
+    let byteLengthEncoder = null;
+    let byteLengthBuffer = null; // 复用的编码缓冲区，每个 UTF-16 单元最多编码为 3 字节
+
+    // 按 UTF-8 计算字符串字节数，不生成完整的编码副本：
+    // 支持 TextEncoder.encodeInto 时分段编码到固定大小的缓冲区中累加写入字节数，否则逐字符计算
+    function getByteLength(str) {
+        if (typeof TextEncoder === 'function' && typeof TextEncoder.prototype.encodeInto === 'function') {
+            if (!byteLengthEncoder) {
+                byteLengthEncoder = new TextEncoder();
+                byteLengthBuffer = new Uint8Array((BYTE_LENGTH_CHUNK_SIZE + 1) * 3);
+            }
+            let bytes = 0;
+            let offset = 0;
+            while (offset < str.length) {
+                let end = Math.min(offset + BYTE_LENGTH_CHUNK_SIZE, str.length);
+                const last = str.charCodeAt(end - 1);
+                if (end < str.length && last >= 0xd800 && last <= 0xdbff) end++; // 不在代理对中间切分
+                const result = byteLengthEncoder.encodeInto(offset === 0 && end === str.length ? str : str.slice(offset, end), byteLengthBuffer);
+                bytes += result.written;
+                offset = end;
+            }
+            return bytes;
+        }
+        let bytes = str.length;
+        for (let i = 0; i < str.length; i++) {
+            const code = str.charCodeAt(i);
+            if (code >= 0xd800 && code <= 0xdbff) {
+                bytes += 2; // 代理对共 4 字节
+                i++;
+            } else if (code > 0x7ff) {
+                bytes += 2;
+            } else if (code > 0x7f) {
+                bytes += 1;
+            }
+        }
+        return bytes;
+    }
+
+    // 计算请求体字节数，无法预先得知大小 (如 ReadableStream) 时返回 null
+    function getBodySize(body) {
+        if (body === null || body === undefined) return null;
+        if (typeof body === 'string') return getByteLength(body);
+        if (typeof Blob === 'function' && body instanceof Blob) return body.size;
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+        if (typeof URLSearchParams === 'function' && body instanceof URLSearchParams) return getByteLength(body.toString());
+        if (typeof FormData === 'function' && body instanceof FormData) {
+            // multipart 边界等开销无法得知，只统计字段名与字段值 (文件按其大小)
+            let size = 0;
+            body.forEach((value, key) => {
+                size += getByteLength(key) + (typeof value === 'string' ? getByteLength(value) : (value.size || 0));
+            });
+            return size;
+        }
+        return null;
+    }
+
+    // 计算 XHR 解码后的响应体字节数：二进制响应直接读取大小，文本响应按 UTF-8 计算
+    // 对应的 Resource Timing 条目带有 decodedBodySize 时，reportApiCall 会以其为准
+    function getXhrResponseSize(xhr) {
+        try {
+            switch (xhr.responseType) {
+                case '':
+                case 'text':
+                    return xhr.responseText ? getByteLength(xhr.responseText) : null;
+                case 'arraybuffer':
+                    return xhr.response ? xhr.response.byteLength : null;
+                case 'blob':
+                    return xhr.response ? xhr.response.size : null;
+                default:
+                    return null; // json / document 无法得知原始大小，由 Resource Timing 补充
+            }
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Content-Length 是编码 (压缩) 后的大小且经常缺失，不作为 responseSize，只单独上报
+    function parseContentLength(value) {
+        const length = parseInt(value, 10);
+        return length >= 0 ? length : null;
+    }
+
+    function pickHeaders(names, getHeader) {
+        // 只采集配置中列出的 Header，名称统一为小写
+        if (!names || names.length === 0) return null;
+        const result = {};
+        names.forEach(name => {
+            const value = getHeader(name);
+            if (value !== null && value !== undefined) result[name.toLowerCase()] = String(value);
+        });
+        return result;
+    }
+
+    function isSensitiveKey(key) {
+        const lowerKey = String(key).toLowerCase();
+        return (agentConfig.api.redactBodyKeys || []).some(fragment => lowerKey.includes(String(fragment).toLowerCase()));
+    }
+
+    function redactValue(value) {
+        if (Array.isArray(value)) return value.map(redactValue);
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                result[key] = isSensitiveKey(key) ? REDACTED : redactValue(value[key]);
+            });
+            return result;
+        }
+        return value;
+    }
+
+    // 生成脱敏并截断后的请求/响应体样本，只处理文本类型的请求体
+    function getBodySample(body) {
+        try {
+            let text = null;
+            if (typeof body === 'string') {
+                text = body;
+            } else if (typeof URLSearchParams === 'function' && body instanceof URLSearchParams) {
+                text = body.toString();
+            } else if (typeof FormData === 'function' && body instanceof FormData) {
+                const fields = [];
+                body.forEach((value, key) => {
+                    fields.push(key + '=' + (isSensitiveKey(key) ? REDACTED : (typeof value === 'string' ? value : '[File]')));
+                });
+                text = fields.join('&');
+                return text.slice(0, agentConfig.api.maxBodySampleLength);
+            }
+            if (text === null) return null;
+
+            let sample;
+            try {
+                sample = JSON.stringify(redactValue(JSON.parse(text)));
+            } catch (e) {
+                // 非 JSON 时按 key=value 形式脱敏
+                sample = text.replace(/([^&=\s]+)=([^&]*)/g, (match, key) => isSensitiveKey(key) ? key + '=' + REDACTED : match);
+            }
+            return sample.slice(0, agentConfig.api.maxBodySampleLength);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // 从请求体或 URL 中提取 GraphQL 操作名与类型，非 GraphQL 请求返回 null
+    function getGraphQLOperation(url, body) {
+        try {
+            let payload = null;
+            if (typeof body === 'string' && body.indexOf('query') !== -1) {
+                payload = JSON.parse(body);
+                if (Array.isArray(payload)) payload = payload[0]; // 批量查询只取第一个操作
+            } else if (!body && url) {
+                const params = new URL(String(url), window.location.href).searchParams;
+                if (params.has('query') || params.has('operationName')) {
+                    payload = { query: params.get('query'), operationName: params.get('operationName') };
+                }
+            }
+            if (!payload || typeof payload !== 'object' || (typeof payload.query !== 'string' && !payload.operationName)) {
+                return null;
+            }
+
+            let name = payload.operationName || null;
+            let type = null;
+            if (typeof payload.query === 'string') {
+                const match = /^\s*(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/.exec(payload.query);
+                if (match) {
+                    type = match[1];
+                    name = name || match[2] || null;
+                } else if (/^\s*\{/.test(payload.query)) {
+                    type = 'query'; // 简写形式的匿名查询
+                }
+            }
+            return { name: name, type: type };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function observeApiResourceEntries() {
+        if (apiEntriesObserved || !isEntryTypeSupported('resource')) return;
+        apiEntriesObserved = true;
+        try {
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach(entry => {
+                    if (entry.initiatorType !== 'xmlhttprequest' && entry.initiatorType !== 'fetch') return;
+                    pendingApiEntries.push(entry);
+                    if (pendingApiEntries.length > MAX_PENDING_API_ENTRIES) pendingApiEntries.shift();
+                });
+            });
+            observer.observe({ type: 'resource' });
+            addTeardownTask(() => observer.disconnect());
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error observing api resource entries:", e);
+        }
+    }
+
+    function findApiResourceEntry(url, startTime) {
+        try {
+            const absoluteUrl = new URL(String(url), window.location.href).href;
+            for (let i = 0; i < pendingApiEntries.length; i++) {
+                const entry = pendingApiEntries[i];
+                if (entry.name === absoluteUrl && entry.startTime >= startTime - 1) {
+                    pendingApiEntries.splice(i, 1);
+                    return entry;
+                }
+            }
+        } catch (e) { } // 忽略 URL 解析错误
+        return null;
+    }
+
+    // 合并对应的 Resource Timing 条目后上报 apiCall；条目在响应体读取完成后才出现，因此会短暂重试
+    function reportApiCall(data, attempt) {
+        attempt = attempt || 0;
+        if (attempt === 0) {
+            addBreadcrumb('api', data.method + ' ' + (data.statusCode || data.errorMessage || 'failed'), data.success ? 'info' : 'error', data.url);
+        }
+        const entry = findApiResourceEntry(data.url, data.startTime);
+        if (!entry && attempt < API_TIMING_RETRY_DELAYS.length - 1) {
+            setTimeout(() => reportApiCall(data, attempt + 1), API_TIMING_RETRY_DELAYS[attempt + 1]);
+            return;
+        }
+        try {
+            if (entry) {
+                data.dnsTime = resourcePhase(entry.domainLookupStart, entry.domainLookupEnd);
+                data.connectTime = resourcePhase(entry.connectStart, entry.connectEnd);
+                data.tlsTime = resourcePhase(entry.secureConnectionStart, entry.connectEnd);
+                data.ttfb = resourcePhase(entry.requestStart, entry.responseStart);
+                data.downloadTime = resourcePhase(entry.responseStart, entry.responseEnd);
+                data.nextHopProtocol = entry.nextHopProtocol || null;
+                data.transferSize = entry.transferSize || null;
+                if (entry.decodedBodySize > 0) data.responseSize = entry.decodedBodySize;
+            }
+            sendToNative('apiCall', data);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error reporting api call:", e);
+        }
+    }
+
+    // --- API 调用监控 (Checklist Item 6) ---
+    // apiCall 记录中可选的详细字段，未采集时为 null；Resource Timing 相关字段在 reportApiCall 中补充
+    const API_DETAIL_FIELDS = [
+        'dnsTime', 'connectTime', 'tlsTime', 'ttfb', 'downloadTime', 'nextHopProtocol', 'transferSize',
+        'requestHeaders', 'responseHeaders', 'requestBodySample', 'responseBodySample'
+    ];
+
+    function createApiCallData(fields) {
+        const data = Object.assign({ timestamp: getTimestamp() }, fields);
+        API_DETAIL_FIELDS.forEach(key => {
+            if (data[key] === undefined) data[key] = null;
+        });
+        return data;
+    }
+
+    function captureApiCalls() {
+        try {
+            observeApiResourceEntries();
+
+            // 监控 XMLHttpRequest
+            const originalXhrOpen = XMLHttpRequest.prototype.open;
+            const originalXhrSend = XMLHttpRequest.prototype.send;
+            const originalXhrSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
+            XMLHttpRequest.prototype.open = function (method, url) {
+                try {
+                    // 存储请求信息到 XHR 实例上，供 send 和事件监听器使用
+                    this._apm_method = method;
+                    this._apm_url = url;
+                    this._apm_requestHeaders = {};
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error in XHR open patch:", e);
+                }
+                return originalXhrOpen.apply(this, arguments);
+            };
+            restoreOnTeardown(XMLHttpRequest.prototype, 'open', originalXhrOpen);
+
+            XMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+                try {
+                    // 记录页面设置的请求 Header，供 captureRequestHeaders 使用
+                    if (this._apm_requestHeaders) this._apm_requestHeaders[String(name).toLowerCase()] = value;
+                } catch (e) { } // 忽略记录 Header 的错误
+                return originalXhrSetRequestHeader.apply(this, arguments);
+            };
+            restoreOnTeardown(XMLHttpRequest.prototype, 'setRequestHeader', originalXhrSetRequestHeader);
+
+            XMLHttpRequest.prototype.send = function (body) {
+                // 不在监控范围内的请求直接放行
+                if (!isUrlAllowed(this._apm_url, agentConfig.api)) {
+                    return originalXhrSend.apply(this, arguments);
+                }
+                try {
+                    const xhr = this;
+                    const startTime = performance.now(); // 高精度起始时间
+                    const route = currentRoute; // 请求发起时的路由
+                    const interactionId = noteInteractionRequest(); // 触发请求的用户交互
+                    const traceContext = createTraceContext(xhr._apm_url, name => xhr._apm_requestHeaders?.[name]);
+                    if (traceContext) {
+                        Object.keys(traceContext.headers).forEach(name => {
+                            originalXhrSetRequestHeader.call(xhr, name, traceContext.headers[name]);
+                        });
+                    }
+                    const requestSize = getBodySize(body);
+                    const requestHeaders = pickHeaders(agentConfig.api.captureRequestHeaders, name => xhr._apm_requestHeaders?.[name.toLowerCase()]);
+                    const graphql = getGraphQLOperation(xhr._apm_url, body);
+
+                    const handleFinish = () => {
+                        try { // 内层 try-catch
+                            // 移除监听器，避免重复调用
+                            xhr.removeEventListener('load', handleLoad);
+                            xhr.removeEventListener('error', handleError);
+                            xhr.removeEventListener('abort', handleAbort);
+                            xhr.removeEventListener('timeout', handleTimeout);
+                            pendingRequestCount = Math.max(0, pendingRequestCount - 1);
+                            notifySPAActivity();
+
+                            const duration = performance.now() - startTime;
+                            let success = xhr.status >= 200 && xhr.status < 300;
+                            const responseSize = getXhrResponseSize(xhr);
+                            let contentLength = null;
+                            try {
+                                contentLength = parseContentLength(xhr.getResponseHeader('Content-Length'));
+                            } catch (e) { } // 忽略获取 Content-Length 的错误
+
+                            const data = createApiCallData({
+                                url: xhr._apm_url || '',
+                                method: xhr._apm_method || 'GET',
+                                route: route,
+                                interactionId: interactionId,
+                                traceId: traceContext ? traceContext.traceId : null,
+                                spanId: traceContext ? traceContext.spanId : null,
+                                graphqlOperationName: graphql ? graphql.name : null,
+                                graphqlOperationType: graphql ? graphql.type : null,
+                                startTime: startTime, // 相对时间戳
+                                duration: duration,
+                                statusCode: xhr.status === 0 ? null : xhr.status, // status 为 0 通常是网络错误或跨域问题
+                                requestSize: requestSize,
+                                responseSize: responseSize,
+                                contentLength: contentLength,
+                                success: success,
+                                errorMessage: success ? null : (xhr.status === 0 ? 'Network Error or CORS' : xhr.statusText),
+                                requestHeaders: requestHeaders,
+                                responseHeaders: pickHeaders(agentConfig.api.captureResponseHeaders, name => xhr.getResponseHeader(name))
+                            });
+                            if (!success && agentConfig.api.captureBodyOnError) {
+                                data.requestBodySample = getBodySample(body);
+                                if (xhr.responseType === '' || xhr.responseType === 'text') {
+                                    data.responseBodySample = getBodySample(xhr.responseText);
+                                }
+                            }
+                            reportApiCall(data);
+                        } catch (logError) {
+                            console.error("WebViewAPM Agent: Error logging in XHR handleFinish:", logError);
+                        }
+                    };
+
+                    // 使用具名函数方便移除
+                    const handleLoad = () => handleFinish();
+                    const handleError = () => handleFinish();
+                    const handleAbort = () => handleFinish();
+                    const handleTimeout = () => handleFinish();
+
+
+                    // 添加事件监听器
+                    pendingRequestCount++;
+                    xhr.addEventListener('load', handleLoad);
+                    xhr.addEventListener('error', handleError);
+                    xhr.addEventListener('abort', handleAbort);
+                    xhr.addEventListener('timeout', handleTimeout);
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error in XHR send patch setup:", e);
+                }
+
+                return originalXhrSend.apply(this, arguments);
+            };
+            restoreOnTeardown(XMLHttpRequest.prototype, 'send', originalXhrSend);
+
+            // 监控 Fetch API
+            if (window.fetch) {
+                const originalFetch = window.fetch;
+                window.fetch = function (input, init) {
+                    let startTime, url, method, requestSize, route, interactionId, traceContext, body, requestHeaders, graphql; // 声明在 try 外部
+                    let fetchArgs = arguments;
+                    try {
+                        startTime = performance.now();
+                        route = currentRoute;
+                        url = (input instanceof Request) ? input.url : input;
+                        method = (input instanceof Request) ? input.method : (init?.method || 'GET');
+                        // Request 对象的 body 是 ReadableStream，无法预先得知大小
+                        body = init?.body !== undefined ? init.body : ((input instanceof Request) ? input.body : null);
+                        requestSize = getBodySize(body);
+                        graphql = getGraphQLOperation(url, body);
+                        if (agentConfig.api.captureRequestHeaders?.length) {
+                            const headers = new Headers(init?.headers || (input instanceof Request ? input.headers : undefined));
+                            requestHeaders = pickHeaders(agentConfig.api.captureRequestHeaders, name => headers.get(name));
+                        }
+                    } catch (e) {
+                        console.error("WebViewAPM Agent: Error in fetch patch setup:", e);
+                        // 如果 setup 失败，直接调用原始 fetch 并返回
+                        return originalFetch.apply(this, arguments);
+                    }
+                    // 不在监控范围内的请求直接放行
+                    if (!isUrlAllowed(url, agentConfig.api)) {
+                        return originalFetch.apply(this, arguments);
+                    }
+                    interactionId = noteInteractionRequest();
+
+                    try {
+                        const headers = new Headers(init?.headers || (input instanceof Request ? input.headers : undefined));
+                        traceContext = createTraceContext(url, name => headers.get(name));
+                        if (traceContext && Object.keys(traceContext.headers).length > 0) {
+                            // 合并原有 Header 后注入追踪 Header，不修改调用方传入的对象
+                            Object.keys(traceContext.headers).forEach(name => headers.set(name, traceContext.headers[name]));
+                            fetchArgs = [input, Object.assign({}, init, { headers: headers })];
+                        }
+                    } catch (e) {
+                        console.error("WebViewAPM Agent: Error injecting trace headers:", e);
+                        traceContext = null;
+                        fetchArgs = arguments;
+                    }
+
+                    pendingRequestCount++;
+                    const finishPending = () => {
+                        pendingRequestCount = Math.max(0, pendingRequestCount - 1);
+                        notifySPAActivity();
+                    };
+                    const baseFields = () => ({
+                        url: url,
+                        method: method,
+                        route: route,
+                        interactionId: interactionId,
+                        traceId: traceContext ? traceContext.traceId : null,
+                        spanId: traceContext ? traceContext.spanId : null,
+                        graphqlOperationName: graphql ? graphql.name : null,
+                        graphqlOperationType: graphql ? graphql.type : null,
+                        startTime: startTime,
+                        duration: performance.now() - startTime,
+                        requestSize: requestSize,
+                        requestHeaders: requestHeaders || null
+                    });
+
+                    return originalFetch.apply(this, fetchArgs)
+                        .then(response => {
+                            finishPending();
+                            try { // 内层 try-catch
+                                // 未读取响应体时无法得知解码后的大小，由 reportApiCall 从 Resource Timing 条目补充
+                                const data = createApiCallData(Object.assign(baseFields(), {
+                                    statusCode: response.status,
+                                    responseSize: null,
+                                    contentLength: parseContentLength(response.headers.get('Content-Length')),
+                                    success: response.ok,
+                                    errorMessage: response.ok ? null : response.statusText,
+                                    responseHeaders: pickHeaders(agentConfig.api.captureResponseHeaders, name => response.headers.get(name))
+                                }));
+                                if (!response.ok && agentConfig.api.captureBodyOnError) {
+                                    data.requestBodySample = getBodySample(body);
+                                    // 读取克隆的响应体，不影响页面代码读取原始 response
+                                    response.clone().text()
+                                        .then(text => { data.responseBodySample = getBodySample(text); })
+                                        .catch(() => { }) // 忽略读取响应体的错误 (例如 opaque 响应)
+                                        .then(() => reportApiCall(data));
+                                } else {
+                                    reportApiCall(data);
+                                }
+                            } catch (logError) {
+                                console.error("WebViewAPM Agent: Error logging in fetch then block:", logError);
+                            }
+                            return response; // 返回原始 response
+                        })
+                        .catch(error => {
+                            finishPending();
+                            try { // 内层 try-catch
+                                const data = createApiCallData(Object.assign(baseFields(), {
+                                    statusCode: null,
+                                    responseSize: null,
+                                    success: false,
+                                    errorMessage: error.message || 'Fetch Failed'
+                                }));
+                                if (agentConfig.api.captureBodyOnError) {
+                                    data.requestBodySample = getBodySample(body);
+                                }
+                                reportApiCall(data);
+                            } catch (logError) {
+                                console.error("WebViewAPM Agent: Error logging in fetch catch block:", logError);
+                            }
+                            throw error; // 重新抛出错误，不破坏 Promise 链
+                        });
+                };
+                restoreOnTeardown(window, 'fetch', originalFetch);
+            }
+
+            captureBeaconCalls();
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up API call capture:", e);
+        }
+    }
+
+    // --- WebSocket / EventSource / sendBeacon 监控 ---
+    // 实时通道在关闭 (或页面卸载) 时上报一条汇总记录，便于发现长时间无消息或频繁重连的连接
+    const activeRealtimeChannels = new Set(); // 尚未上报的 WebSocket/EventSource 统计对象
+
+    function getMessageSize(data) {
+        if (typeof data === 'string') return getByteLength(data);
+        return getBodySize(data) || 0;
+    }
+
+    function reportRealtimeChannel(stats, endReason, options) {
+        if (stats.reported) return;
+        stats.reported = true;
+        activeRealtimeChannels.delete(stats);
+        const now = performance.now();
+        const data = Object.assign({}, stats.data, {
+            duration: now - stats.data.startTime,
+            // 最后一条消息距关闭的时间 (ms)，用于识别停滞的通道；从未收到消息时为 null
+            idleTime: stats.lastMessageTime !== null ? now - stats.lastMessageTime : null,
+            endReason: endReason
+        });
+        sendToNative(stats.recordType, data, options);
+    }
+
+    // 页面卸载时上报仍处于连接中的通道
+    onPageHide(() => {
+        activeRealtimeChannels.forEach(stats => reportRealtimeChannel(stats, 'pagehide', { flush: true }));
+    });
+
+    function trackWebSocket(socket) {
+        const startTime = performance.now();
+        const stats = {
+            recordType: 'webSocket',
+            reported: false,
+            lastMessageTime: null,
+            data: {
+                timestamp: getTimestamp(),
+                url: socket.url,
+                route: currentRoute,
+                protocol: null,
+                startTime: startTime,
+                connectTime: null, // 从创建到 open 事件的耗时 (ms)，未连接成功时为 null
+                closeCode: null,
+                closeReason: null,
+                wasClean: null,
+                messagesSent: 0,
+                messagesReceived: 0,
+                bytesSent: 0,
+                bytesReceived: 0,
+                errorCount: 0
+            }
+        };
+        socket._apm_stats = stats;
+        activeRealtimeChannels.add(stats);
+
+        socket.addEventListener('open', () => {
+            stats.data.connectTime = performance.now() - startTime;
+            stats.data.protocol = socket.protocol || null;
+        });
+        socket.addEventListener('message', event => {
+            stats.lastMessageTime = performance.now();
+            stats.data.messagesReceived++;
+            stats.data.bytesReceived += getMessageSize(event.data);
+        });
+        socket.addEventListener('error', () => {
+            stats.data.errorCount++;
+        });
+        socket.addEventListener('close', event => {
+            stats.data.closeCode = event.code;
+            stats.data.closeReason = event.reason || null;
+            stats.data.wasClean = event.wasClean;
+            // 从未连接成功即关闭视为连接失败
+            reportRealtimeChannel(stats, stats.data.connectTime === null ? 'failed' : 'closed');
+        });
+    }
+
+    function captureWebSockets() {
+        try {
+            const OriginalWebSocket = window.WebSocket;
+            if (typeof OriginalWebSocket !== 'function') return;
+
+            // 通过返回原始实例的构造函数替换 WebSocket，保持 instanceof 与静态常量可用
+            // 与原生构造函数一致，不使用 new 调用时抛出 TypeError；按 new.target 构造，页面继承 WebSocket 的子类仍得到子类实例
+            const APMWebSocket = function WebSocket(url, protocols) {
+                if (!new.target) throw new TypeError("Failed to construct 'WebSocket': Please use the 'new' operator, this DOM object constructor cannot be called as a function.");
+                const socket = Reflect.construct(OriginalWebSocket, arguments, new.target);
+                try {
+                    if (isUrlAllowed(socket.url, agentConfig.api)) trackWebSocket(socket);
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error tracking WebSocket:", e);
+                }
+                return socket;
+            };
+            APMWebSocket.prototype = OriginalWebSocket.prototype;
+            ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(name => {
+                APMWebSocket[name] = OriginalWebSocket[name];
+            });
+            window.WebSocket = APMWebSocket;
+            restoreOnTeardown(window, 'WebSocket', OriginalWebSocket);
+
+            const originalSend = OriginalWebSocket.prototype.send;
+            OriginalWebSocket.prototype.send = function (data) {
+                try {
+                    const stats = this._apm_stats;
+                    if (stats && this.readyState === OriginalWebSocket.OPEN) {
+                        stats.data.messagesSent++;
+                        stats.data.bytesSent += getMessageSize(data);
+                    }
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error in WebSocket send patch:", e);
+                }
+                return originalSend.apply(this, arguments);
+            };
+            restoreOnTeardown(OriginalWebSocket.prototype, 'send', originalSend);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up WebSocket capture:", e);
+        }
+    }
+
+    function trackEventSource(source) {
+        const startTime = performance.now();
+        const stats = {
+            recordType: 'eventSource',
+            reported: false,
+            lastMessageTime: null,
+            listenedTypes: new Set(),
+            data: {
+                timestamp: getTimestamp(),
+                url: source.url,
+                route: currentRoute,
+                withCredentials: !!source.withCredentials,
+                startTime: startTime,
+                connectTime: null, // 从创建到首次 open 事件的耗时 (ms)
+                timeToFirstEvent: null, // 从创建到收到第一条事件的耗时 (ms)
+                reconnectCount: 0, // 首次连接之后再次触发 open 的次数
+                messagesReceived: 0,
+                bytesReceived: 0,
+                errorCount: 0
+            }
+        };
+        source._apm_stats = stats;
+        activeRealtimeChannels.add(stats);
+
+        source.addEventListener('open', () => {
+            if (stats.data.connectTime === null) {
+                stats.data.connectTime = performance.now() - startTime;
+            } else {
+                stats.data.reconnectCount++;
+            }
+        });
+        source.addEventListener('error', () => {
+            stats.data.errorCount++;
+            // readyState 为 CLOSED 表示浏览器放弃重连 (如响应非 200 或 Content-Type 错误)
+            if (source.readyState === 2) reportRealtimeChannel(stats, 'failed');
+        });
+        listenEventSourceType(source, 'message');
+    }
+
+    function listenEventSourceType(source, type) {
+        const stats = source._apm_stats;
+        if (!stats || stats.listenedTypes.has(type)) return;
+        stats.listenedTypes.add(type);
+        source.addEventListener(type, event => {
+            const now = performance.now();
+            if (stats.data.timeToFirstEvent === null) stats.data.timeToFirstEvent = now - stats.data.startTime;
+            stats.lastMessageTime = now;
+            stats.data.messagesReceived++;
+            stats.data.bytesReceived += getMessageSize(event.data);
+        });
+    }
+
+    function captureEventSources() {
+        try {
+            const OriginalEventSource = window.EventSource;
+            if (typeof OriginalEventSource !== 'function') return;
+
+            const APMEventSource = function EventSource(url, init) {
+                if (!new.target) throw new TypeError("Failed to construct 'EventSource': Please use the 'new' operator, this DOM object constructor cannot be called as a function.");
+                const source = Reflect.construct(OriginalEventSource, arguments, new.target);
+                try {
+                    if (isUrlAllowed(source.url, agentConfig.api)) trackEventSource(source);
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error tracking EventSource:", e);
+                }
+                return source;
+            };
+            APMEventSource.prototype = OriginalEventSource.prototype;
+            ['CONNECTING', 'OPEN', 'CLOSED'].forEach(name => {
+                APMEventSource[name] = OriginalEventSource[name];
+            });
+            window.EventSource = APMEventSource;
+            restoreOnTeardown(window, 'EventSource', OriginalEventSource);
+
+            // 服务端的命名事件 (event: xxx) 只会派发给对应类型的监听器，页面监听某类型时同步统计该类型
+            const originalAddEventListener = OriginalEventSource.prototype.addEventListener;
+            OriginalEventSource.prototype.addEventListener = function (type) {
+                try {
+                    if (this._apm_stats && type !== 'open' && type !== 'error') listenEventSourceType(this, String(type));
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error in EventSource addEventListener patch:", e);
+                }
+                return originalAddEventListener.apply(this, arguments);
+            };
+            restoreOnTeardown(OriginalEventSource.prototype, 'addEventListener', originalAddEventListener);
+
+            const originalClose = OriginalEventSource.prototype.close;
+            OriginalEventSource.prototype.close = function () {
+                try {
+                    if (this._apm_stats) reportRealtimeChannel(this._apm_stats, 'closed');
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error in EventSource close patch:", e);
+                }
+                return originalClose.apply(this, arguments);
+            };
+            restoreOnTeardown(OriginalEventSource.prototype, 'close', originalClose);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up EventSource capture:", e);
+        }
+    }
+
+    // sendBeacon 只能得知请求是否成功加入发送队列，以 beacon = true 的 apiCall 记录上报
+    function captureBeaconCalls() {
+        try {
+            if (!navigator.sendBeacon) return;
+            const originalSendBeacon = navigator.sendBeacon;
+            navigator.sendBeacon = function (url, data) {
+                const startTime = performance.now();
+                const queued = originalSendBeacon.apply(this, arguments);
+                try {
+                    if (isUrlAllowed(url, agentConfig.api)) {
+                        // beacon 没有对应的 Resource Timing 条目，不经过 reportApiCall 的等待重试，直接上报；
+                        // beacon 常在页面卸载时发送，此时立即发送队列
+                        const record = createApiCallData({
+                            url: String(url),
+                            method: 'POST',
+                            route: currentRoute,
+                            interactionId: noteInteractionRequest(),
+                            traceId: null,
+                            spanId: null,
+                            graphqlOperationName: null,
+                            graphqlOperationType: null,
+                            startTime: startTime,
+                            duration: performance.now() - startTime,
+                            statusCode: null, // beacon 无法获取响应
+                            requestSize: getBodySize(data),
+                            responseSize: null,
+                            success: !!queued,
+                            errorMessage: queued ? null : 'Beacon was not queued',
+                            beacon: true
+                        });
+                        addBreadcrumb('api', record.method + ' ' + (queued ? 'queued' : 'failed'), queued ? 'info' : 'error', record.url);
+                        sendToNative('apiCall', record, { flush: isPageHidden() });
+                    }
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error logging sendBeacon:", e);
+                }
+                return queued;
+            };
+            restoreOnTeardown(navigator, 'sendBeacon', originalSendBeacon);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up sendBeacon capture:", e);
+        }
+    }
+
+    // --- SPA 路由变化监控 (Checklist Item 5 - SPA) ---
+    // 软导航被认为在 DOM 与网络均静默 thresholds.spaQuietWindow 毫秒后结束，最长等待 thresholds.spaMaxSettleTime 毫秒
+    let activeNavigation = null; // 当前尚未结束的软导航
+
+    function settleSPANavigation(status) {
+        const nav = activeNavigation;
+        if (!nav) return;
+        activeNavigation = null;
+        try {
+            clearTimeout(nav.quietTimer);
+            clearTimeout(nav.maxTimer);
+            if (nav.observer) nav.observer.disconnect();
+
+            const data = {
+                timestamp: nav.timestamp,
+                fromUrl: nav.fromUrl,
+                toUrl: nav.toUrl,
+                route: nav.route,
+                trigger: nav.trigger,
+                startTime: nav.startTime,
+                // 超时时以最后一次活动时间计算，其余情况同样取最后一次 DOM/网络活动
+                duration: Math.max(0, nav.lastActivityTime - nav.startTime),
+                settleStatus: status // 'settled' | 'timeout' | 'interrupted'
+            };
+            sendToNative('spaNavigation', data);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error settling SPA navigation:", e);
+        }
+    }
+
+    // 在 DOM 变更或网络请求结束时调用，推迟软导航的结束判定
+    function notifySPAActivity() {
+        const nav = activeNavigation;
+        if (!nav) return;
+        nav.lastActivityTime = performance.now();
+        clearTimeout(nav.quietTimer);
+        nav.quietTimer = setTimeout(checkSPANavigationQuiet, agentConfig.thresholds.spaQuietWindow);
+    }
+
+    function checkSPANavigationQuiet() {
+        const nav = activeNavigation;
+        if (!nav) return;
+        if (pendingRequestCount > 0) {
+            // 仍有进行中的请求，等待其结束时再次触发检查
+            return;
+        }
+        settleSPANavigation('settled');
+    }
+
+    function handleRouteChange(trigger, fromUrl) {
+        try {
+            const toUrl = window.location.href;
+            // replaceState 等调用可能并未改变 URL，此时不视为一次路由变化
+            if (toUrl === fromUrl) return;
+
+            addBreadcrumb('navigation', trigger, 'info', toUrl);
+
+            // 上一次软导航尚未结束时被新的路由变化打断
+            settleSPANavigation('interrupted');
+            startPageView();
+
+            currentRoute = getRoutePath();
+            const now = performance.now();
+            const nav = {
+                timestamp: getTimestamp(),
+                fromUrl: fromUrl,
+                toUrl: toUrl,
+                route: currentRoute,
+                trigger: trigger,
+                startTime: now,
+                lastActivityTime: now,
+                quietTimer: null,
+                maxTimer: null,
+                observer: null
+            };
+            activeNavigation = nav;
+
+            if (typeof MutationObserver === 'function' && document.documentElement) {
+                nav.observer = new MutationObserver(notifySPAActivity);
+                nav.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+            }
+            nav.maxTimer = setTimeout(() => settleSPANavigation('timeout'), agentConfig.thresholds.spaMaxSettleTime);
+            nav.quietTimer = setTimeout(checkSPANavigationQuiet, agentConfig.thresholds.spaQuietWindow);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error handling route change:", e);
+        }
+    }
+
+    function captureSPANavigation() {
+        try {
+            lastKnownUrl = window.location.href;
+
+            const wrapHistoryMethod = (methodName) => {
+                const original = history[methodName];
+                if (typeof original !== 'function') return;
+                history[methodName] = function () {
+                    const fromUrl = window.location.href;
+                    const result = original.apply(this, arguments);
+                    lastKnownUrl = window.location.href;
+                    handleRouteChange(methodName, fromUrl);
+                    return result;
+                };
+                restoreOnTeardown(history, methodName, original);
+            };
+            wrapHistoryMethod('pushState');
+            wrapHistoryMethod('replaceState');
+
+            // popstate 与 hashchange 触发时 URL 已经改变，使用上一次记录的 URL 作为来源
+            // 返回/前进导致的 hash 变化会同时触发两个事件，第二个事件因 URL 未变化而被忽略
+            const handleHistoryEvent = (event) => {
+                const fromUrl = lastKnownUrl;
+                lastKnownUrl = window.location.href;
+                handleRouteChange(event.type, fromUrl);
+            };
+            addAgentListener(window, 'popstate', handleHistoryEvent);
+            addAgentListener(window, 'hashchange', handleHistoryEvent);
+            addTeardownTask(() => settleSPANavigation('interrupted'));
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up SPA navigation capture:", e);
+        }
+    }
+
+    // --- 页面生命周期 ---
+    // 前后台切换、bfcache 恢复、冻结/恢复与 pagehide 以 lifecycle 记录上报
+    // foregroundTime/backgroundTime 为当前文档 (或 bfcache 恢复后) 累计的前台/后台时长
+    let isPageVisible = document.visibilityState !== 'hidden';
+    let lastVisibilityChangeTime = 0;
+    let totalForegroundTime = 0;
+    let totalBackgroundTime = 0;
+
+    // 累计上一个可见状态持续的时间并返回该时长 (ms)
+    function accumulateVisibilityTime() {
+        const now = performance.now();
+        const elapsed = now - lastVisibilityChangeTime;
+        if (isPageVisible) {
+            totalForegroundTime += elapsed;
+        } else {
+            totalBackgroundTime += elapsed;
+        }
+        lastVisibilityChangeTime = now;
+        return elapsed;
+    }
+
+    function reportLifecycle(event, fields, options) {
+        sendToNative('lifecycle', Object.assign({
+            timestamp: getTimestamp(),
+            event: event, // visible / hidden / freeze / resume / pagehide / bfcacheRestore
+            url: window.location.href,
+            route: currentRoute,
+            duration: null, // visible/hidden: 切换前所处状态持续的时间 (ms)
+            persisted: null, // pagehide: 页面是否进入 bfcache；bfcacheRestore: 始终为 true
+            foregroundTime: null,
+            backgroundTime: null
+        }, fields), options);
+    }
+
+    function captureLifecycle() {
+        try {
+            const handleVisibilityChange = () => {
+                try {
+                    const duration = accumulateVisibilityTime();
+                    isPageVisible = document.visibilityState !== 'hidden';
+                    // 进入后台后页面可能随时被终止，立即发送
+                    reportLifecycle(isPageVisible ? 'visible' : 'hidden', { duration: duration }, { flush: !isPageVisible });
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error handling visibilitychange:", e);
                 }
+            };
+            addAgentListener(document, 'visibilitychange', () => {
+                if (document.visibilityState !== 'hidden') handleVisibilityChange();
+            });
+            onPageHidden(handleVisibilityChange);
 
-                // 调用原始的 onerror (如果存在)
-                if (originalOnError) {
-                    // 用 try-catch 保护原始处理器的调用
-                    try { return originalOnError.apply(this, arguments); } catch (e) { /* ignore */ }
+            // Page Lifecycle API，目前 WebKit 尚未支持，支持后自动生效
+            addAgentListener(document, 'freeze', () => reportLifecycle('freeze', null, { flush: true }));
+            addAgentListener(document, 'resume', () => reportLifecycle('resume'));
+
+            onPageHide(event => {
+                try {
+                    accumulateVisibilityTime();
+                    reportLifecycle('pagehide', {
+                        persisted: !!event.persisted,
+                        foregroundTime: totalForegroundTime,
+                        backgroundTime: totalBackgroundTime
+                    }, { flush: true });
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error handling pagehide:", e);
                 }
-                // 返回 false 以允许默认的浏览器错误处理继续
-                return false;
-            };
+            });
 
-            window.addEventListener('unhandledrejection', function (event) {
-                try { // 内层 try-catch 保护日志逻辑本身
-                    const reason = event.reason;
-                    let data = {
-                        timestamp: getTimestamp(),
-                        message: 'Unhandled Promise Rejection',
-                        stack: null,
-                        errorType: 'PromiseRejection'
-                    };
-                    if (reason instanceof Error) {
-                        data.message = reason.message;
-                        data.stack = reason.stack;
-                        data.errorType = reason.name;
-                    } else {
-                        // 如果 reason 不是 Error 对象，尝试转换为字符串
-                        try {
-                            data.message = safeStringify(reason);
-                        } catch (e) {
-                            data.message = 'Unhandled Promise Rejection with non-serializable reason';
-                        }
-                    }
-                    sendToNative('jsError', data);
-                } catch (logError) {
-                    console.error("WebViewAPM Agent: Error logging in unhandledrejection:", logError);
+            addAgentListener(window, 'pageshow', event => {
+                try {
+                    if (!event.persisted) return;
+                    // 从 bfcache 恢复视为一次新的页面浏览
+                    startPageView();
+                    isPageVisible = document.visibilityState !== 'hidden';
+                    lastVisibilityChangeTime = performance.now();
+                    totalForegroundTime = 0;
+                    totalBackgroundTime = 0;
+                    reportLifecycle('bfcacheRestore', { persisted: true });
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error handling pageshow:", e);
                 }
             });
         } catch (e) {
-            console.error("WebViewAPM Agent: Error setting up JS error capture:", e);
+            console.error("WebViewAPM Agent: Error setting up lifecycle capture:", e);
         }
     }
 
-    // --- API 调用监控 (Checklist Item 6) ---
-    function captureApiCalls() {
+    // --- 用户交互与挫败感检测 ---
+    // 每次点击 (包括轻触) 生成一条 interaction 记录，记录目标元素的选择器、输入延迟以及:
+    // - rageClick: rageClickWindow 内在 rageClickRadius 范围内连续点击 rageClickCount 次以上，连续点击合并为一条记录
+    // - deadClick: 点击后 deadClickTimeout 内没有 DOM 变更、路由变化或网络请求
+    // 交互观察期间发起的 API 调用和发生的 JS 错误会带上相同的 interactionId，便于关联
+    const NON_DEAD_CLICK_TAGS = ['INPUT', 'SELECT', 'TEXTAREA', 'LABEL', 'OPTION', 'VIDEO', 'AUDIO'];
+    let pendingInteraction = null;
+
+    // API 请求发起时调用，返回当前交互的 ID 并将交互标记为有响应
+    function noteInteractionRequest() {
+        if (!pendingInteraction) return null;
+        pendingInteraction.hasActivity = true;
+        pendingInteraction.data.apiCallCount++;
+        return pendingInteraction.data.interactionId;
+    }
+
+    function noteInteractionError() {
+        if (!pendingInteraction) return null;
+        pendingInteraction.data.errorCount++;
+        return pendingInteraction.data.interactionId;
+    }
+
+    function isDeadClickCandidate(element) {
+        // 表单控件与媒体元素的点击通常不引起 DOM 变化，不作为 dead click 判断
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (NON_DEAD_CLICK_TAGS.includes(node.tagName) || node.isContentEditable) return false;
+        }
+        return !!element;
+    }
+
+    function finishInteraction(options) {
+        const interaction = pendingInteraction;
+        if (!interaction) return;
+        pendingInteraction = null;
+        clearTimeout(interaction.timer);
+        if (interaction.observer) interaction.observer.disconnect();
         try {
-            // 监控 XMLHttpRequest
-            const originalXhrOpen = XMLHttpRequest.prototype.open;
-            const originalXhrSend = XMLHttpRequest.prototype.send;
+            const data = interaction.data;
+            if (window.location.href !== interaction.startUrl) interaction.hasActivity = true;
+            data.rageClick = data.clickCount >= agentConfig.interaction.rageClickCount;
+            data.deadClick = !interaction.hasActivity && interaction.deadClickCandidate;
+            sendToNative('interaction', data, options);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error reporting interaction:", e);
+        }
+    }
 
-            XMLHttpRequest.prototype.open = function (method, url) {
-                try {
-                    // 存储请求信息到 XHR 实例上，供 send 和事件监听器使用
-                    this._apm_method = method;
-                    this._apm_url = url;
-                } catch (e) {
-                    console.error("WebViewAPM Agent: Error in XHR open patch:", e);
+    function scheduleInteractionFinish(interaction) {
+        const config = agentConfig.interaction;
+        clearTimeout(interaction.timer);
+        interaction.timer = setTimeout(finishInteraction, Math.max(config.rageClickWindow, config.deadClickTimeout));
+    }
+
+    // 从 Event Timing 条目补充输入延迟；WebKit 不支持时在下一帧估算
+    function measureInteractionLatency(interaction, event) {
+        const data = interaction.data;
+        const processingStart = performance.now();
+        requestAnimationFrame(() => {
+            setTimeout(() => {
+                if (data.latencySource !== null) return; // 已由 Event Timing 条目补充
+                data.latencySource = 'raf';
+                data.inputDelay = Math.max(0, processingStart - event.timeStamp);
+                data.duration = performance.now() - event.timeStamp;
+            }, 0);
+        });
+    }
+
+    function applyEventTimingEntry(entry) {
+        const interaction = pendingInteraction;
+        if (!interaction || entry.name !== 'click' || Math.abs(entry.startTime - interaction.data.startTime) > 1) return;
+        const data = interaction.data;
+        data.latencySource = 'event-timing';
+        data.inputDelay = entry.processingStart - entry.startTime;
+        data.processingTime = entry.processingEnd - entry.processingStart;
+        data.presentationDelay = Math.max(0, entry.startTime + entry.duration - entry.processingEnd);
+        data.duration = entry.duration;
+    }
+
+    function handleInteractionClick(event) {
+        try {
+            const config = agentConfig.interaction;
+            const now = performance.now();
+            const pending = pendingInteraction;
+            // 短时间内在附近的连续点击合并为同一次交互
+            if (pending && now - pending.lastClickTime <= config.rageClickWindow &&
+                Math.abs(event.clientX - pending.x) <= config.rageClickRadius &&
+                Math.abs(event.clientY - pending.y) <= config.rageClickRadius) {
+                pending.lastClickTime = now;
+                pending.data.clickCount++;
+                scheduleInteractionFinish(pending);
+                return;
+            }
+            finishInteraction();
+
+            const target = event.target;
+            const interaction = {
+                x: event.clientX,
+                y: event.clientY,
+                lastClickTime: now,
+                startUrl: window.location.href,
+                hasActivity: false,
+                deadClickCandidate: isDeadClickCandidate(target),
+                observer: null,
+                timer: null,
+                data: {
+                    timestamp: getTimestamp(),
+                    interactionId: randomHex(8),
+                    type: 'click',
+                    url: window.location.href,
+                    route: currentRoute,
+                    target: getElementSelector(target),
+                    startTime: event.timeStamp, // 事件发生时间，相对 timeOrigin (ms)
+                    clickCount: 1,
+                    rageClick: false,
+                    deadClick: false,
+                    latencySource: null, // event-timing / raf
+                    inputDelay: null,
+                    processingTime: null,
+                    presentationDelay: null,
+                    duration: null, // 从点击到下一帧绘制的时间 (ms)
+                    apiCallCount: 0,
+                    errorCount: 0
                 }
-                return originalXhrOpen.apply(this, arguments);
             };
+            if (typeof MutationObserver === 'function' && document.documentElement) {
+                interaction.observer = new MutationObserver(() => {
+                    interaction.hasActivity = true;
+                    interaction.observer.disconnect();
+                });
+                interaction.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+            }
+            pendingInteraction = interaction;
+            measureInteractionLatency(interaction, event);
+            scheduleInteractionFinish(interaction);
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error handling click:", e);
+        }
+    }
 
-            XMLHttpRequest.prototype.send = function (body) {
-                try {
-                    const xhr = this;
-                    const startTime = performance.now(); // 高精度起始时间
-                    let requestSize = null;
-                    if (body) {
-                        if (typeof body === 'string') {
-                            requestSize = body.length;
-                        } else if (body instanceof Blob) {
-                            requestSize = body.size;
-                        } else if (body instanceof ArrayBuffer) {
-                            requestSize = body.byteLength;
-                        }
-                        // FormData 较难精确计算
-                    }
+    function captureInteractions() {
+        try {
+            addAgentListener(document, 'click', handleInteractionClick, true);
+            if (isEntryTypeSupported('event')) {
+                const observer = new PerformanceObserver(list => {
+                    list.getEntries().forEach(applyEventTimingEntry);
+                });
+                observer.observe({ type: 'event', buffered: false, durationThreshold: 16 });
+                addTeardownTask(() => observer.disconnect());
+            }
+            // 页面卸载时上报尚未结束的交互，离开页面本身说明点击有响应
+            onPageHide(() => {
+                if (pendingInteraction) pendingInteraction.hasActivity = true;
+                finishInteraction({ flush: true });
+            });
+            addTeardownTask(() => finishInteraction());
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up interaction capture:", e);
+        }
+    }
 
-                    const handleFinish = () => {
-                        try { // 内层 try-catch
-                            // 移除监听器，避免重复调用
-                            xhr.removeEventListener('load', handleLoad);
-                            xhr.removeEventListener('error', handleError);
-                            xhr.removeEventListener('abort', handleAbort);
-                            xhr.removeEventListener('timeout', handleTimeout);
+    // --- 页面公开 API (window.WebViewAPM) ---
+    // 供页面代码上报自定义事件、自定义耗时、主动捕获的异常以及用户上下文
+    const userContext = {
+        user: null, // setUser 设置的用户信息
+        tags: {}, // setTag 设置的标签
+        extra: {} // setContext 设置的命名上下文
+    };
+    let measureObserverActive = false; // 为 true 时 performance.measure 由 PerformanceObserver 统一上报
+    const apiMeasureKeys = new Set(); // 通过 window.WebViewAPM.measure 创建的 measure，用于区分上报来源
+    // observer 启动前已直接上报的 measure，observer 以 buffered 方式启动时会再次收到这些条目，需要跳过
+    const MAX_REPORTED_MEASURE_KEYS = 100;
+    const reportedMeasureKeys = new Set();
+    let resolveReady;
+    const agentReady = new Promise(resolve => { resolveReady = resolve; });
 
-                            const duration = performance.now() - startTime;
-                            let success = xhr.status >= 200 && xhr.status < 300;
-                            let responseSize = null;
-                            try {
-                                responseSize = xhr.response ? (xhr.response.length || xhr.response.byteLength || xhr.response.size) : null;
-                                // 对于 responseText, 可以 xhr.responseText.length
-                                if (xhr.getResponseHeader('Content-Length')) {
-                                    responseSize = parseInt(xhr.getResponseHeader('Content-Length'), 10);
-                                }
-                            } catch (e) { } // 忽略获取 response 大小的错误
+    function toStringMap(obj) {
+        // 记录中的属性统一转换为字符串，对象类型的值序列化为 JSON
+        if (!obj || typeof obj !== 'object') return null;
+        const result = {};
+        Object.keys(obj).forEach(key => {
+            const value = obj[key];
+            if (value === undefined || value === null) return;
+            result[key] = typeof value === 'object' ? safeStringify(value) : String(value);
+        });
+        return result;
+    }
 
-                            const data = {
-                                timestamp: getTimestamp(),
-                                url: xhr._apm_url || '',
-                                method: xhr._apm_method || 'GET',
-                                startTime: startTime, // 相对时间戳
-                                duration: duration,
-                                statusCode: xhr.status === 0 ? null : xhr.status, // status 为 0 通常是网络错误或跨域问题
-                                requestSize: requestSize,
-                                responseSize: responseSize,
-                                success: success,
-                                errorMessage: success ? null : (xhr.status === 0 ? 'Network Error or CORS' : xhr.statusText)
-                            };
-                            sendToNative('apiCall', data);
-                        } catch (logError) {
-                            console.error("WebViewAPM Agent: Error logging in XHR handleFinish:", logError);
-                        }
-                    };
+    function getEventContext(extraContext) {
+        const extra = Object.assign({}, userContext.extra);
+        if (extraContext && typeof extraContext === 'object') {
+            Object.keys(extraContext).forEach(key => {
+                extra[key] = extraContext[key];
+            });
+        }
+        return {
+            user: toStringMap(userContext.user),
+            tags: toStringMap(userContext.tags),
+            extra: toStringMap(extra)
+        };
+    }
 
-                    // 使用具名函数方便移除
-                    const handleLoad = () => handleFinish();
-                    const handleError = () => handleFinish();
-                    const handleAbort = () => handleFinish();
-                    const handleTimeout = () => handleFinish();
+    function reportCustomTiming(entry, source) {
+        sendToNative('customTiming', {
+            timestamp: getTimestamp(),
+            name: entry.name,
+            entryType: entry.entryType, // mark | measure
+            startTime: entry.startTime,
+            duration: entry.duration,
+            detail: entry.detail !== undefined && entry.detail !== null ? safeStringify(entry.detail) : null,
+            source: source, // api: 通过 window.WebViewAPM 调用; observer: 页面直接调用 performance.measure
+            route: currentRoute
+        });
+    }
 
+    // 自动采集页面直接调用的 performance.measure()
+    function captureUserTiming() {
+        try {
+            if (!isEntryTypeSupported('measure')) {
+                console.warn("WebViewAPM Agent: measure entry type not supported.");
+                return;
+            }
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach(entry => {
+                    const key = entry.name + '|' + entry.startTime;
+                    if (reportedMeasureKeys.delete(key)) return;
+                    if (apiMeasureKeys.delete(key)) {
+                        reportCustomTiming(entry, 'api');
+                    } else if (isCollectorEnabled('userTiming')) {
+                        reportCustomTiming(entry, 'observer');
+                    }
+                });
+            });
+            observer.observe({ type: 'measure', buffered: true });
+            addTeardownTask(() => observer.disconnect());
+            measureObserverActive = true;
+        } catch (e) {
+            console.error("WebViewAPM Agent: Error setting up user timing capture:", e);
+        }
+    }
 
-                    // 添加事件监听器
-                    xhr.addEventListener('load', handleLoad);
-                    xhr.addEventListener('error', handleError);
-                    xhr.addEventListener('abort', handleAbort);
-                    xhr.addEventListener('timeout', handleTimeout);
-                } catch (e) {
-                    console.error("WebViewAPM Agent: Error in XHR send patch setup:", e);
-                }
+    const publicApi = {
+        version: AGENT_VERSION,
 
-                return originalXhrSend.apply(this, arguments);
-            };
+        // 在 Agent 初始化完成 (DOM Ready) 后 resolve
+        ready: agentReady,
 
-            // 监控 Fetch API
-            if (window.fetch) {
-                const originalFetch = window.fetch;
-                window.fetch = function (input, init) {
-                    let startTime, url, method, requestSize; // 声明在 try 外部
-                    try {
-                        startTime = performance.now();
-                        url = (input instanceof Request) ? input.url : input;
-                        method = (input instanceof Request) ? input.method : (init?.method || 'GET');
-                        requestSize = null;
-                        const body = (input instanceof Request) ? input.body : init?.body;
-                        if (body) {
-                            if (typeof body === 'string') {
-                                requestSize = body.length;
-                            } else if (body instanceof Blob) {
-                                requestSize = body.size;
-                            } else if (body instanceof ArrayBuffer) {
-                                requestSize = body.byteLength;
-                            }
-                        }
-                    } catch (e) {
-                        console.error("WebViewAPM Agent: Error in fetch patch setup:", e);
-                        // 如果 setup 失败，直接调用原始 fetch 并返回
-                        return originalFetch.apply(this, arguments);
+        trackEvent(name, properties) {
+            try {
+                if (!name) return;
+                sendToNative('customEvent', {
+                    timestamp: getTimestamp(),
+                    name: String(name),
+                    properties: toStringMap(properties),
+                    route: currentRoute,
+                    context: getEventContext()
+                });
+            } catch (e) {
+                console.error("WebViewAPM Agent: Error in trackEvent:", e);
+            }
+        },
+
+        mark(name, options) {
+            try {
+                const entry = performance.mark(name, options);
+                // 部分 WebKit 版本的 performance.mark 不返回条目
+                reportCustomTiming(entry || { name: name, entryType: 'mark', startTime: performance.now(), duration: 0 }, 'api');
+                return entry;
+            } catch (e) {
+                console.error("WebViewAPM Agent: Error in mark:", e);
+                return undefined;
+            }
+        },
+
+        measure(name, startOrOptions, endMark) {
+            try {
+                let entry = performance.measure.apply(performance, arguments);
+                if (!entry) {
+                    const entries = performance.getEntriesByName(name, 'measure');
+                    entry = entries[entries.length - 1];
+                }
+                if (!entry) return undefined;
+                if (measureObserverActive) {
+                    // 交由 measure observer 上报，避免重复
+                    apiMeasureKeys.add(entry.name + '|' + entry.startTime);
+                } else {
+                    reportCustomTiming(entry, 'api');
+                    reportedMeasureKeys.add(entry.name + '|' + entry.startTime);
+                    // userTiming 未开启时 observer 可能一直不启动，只保留最近的键
+                    if (reportedMeasureKeys.size > MAX_REPORTED_MEASURE_KEYS) {
+                        reportedMeasureKeys.delete(reportedMeasureKeys.values().next().value);
                     }
+                }
+                return entry;
+            } catch (e) {
+                console.error("WebViewAPM Agent: Error in measure:", e);
+                return undefined;
+            }
+        },
 
-                    return originalFetch.apply(this, arguments)
-                        .then(response => {
-                            try { // 内层 try-catch
-                                const duration = performance.now() - startTime;
-                                let responseSize = null;
-                                const contentLength = response.headers.get('Content-Length');
-                                if (contentLength) {
-                                    responseSize = parseInt(contentLength, 10);
-                                } else {
-                                    // 如果没有 Content-Length，尝试克隆读取，但这可能影响性能且不总可行
-                                    // response.clone().blob().then(blob => { responseSize = blob.size; });
-                                }
+        captureException(error, context) {
+            try {
+                const isError = error instanceof Error;
+                reportJSError({
+                    timestamp: getTimestamp(),
+                    message: isError ? error.message : (typeof error === 'string' ? error : safeStringify(error)),
+                    url: window.location.href,
+                    line: null,
+                    column: null,
+                    stack: isError ? error.stack : null,
+                    errorType: isError ? error.name : 'CapturedException',
+                    handled: true, // 由页面代码主动上报
+                    context: getEventContext(context)
+                }, 'captureException');
+            } catch (e) {
+                console.error("WebViewAPM Agent: Error in captureException:", e);
+            }
+        },
 
-                                const data = {
-                                    timestamp: getTimestamp(),
-                                    url: url,
-                                    method: method,
-                                    startTime: startTime,
-                                    duration: duration,
-                                    statusCode: response.status,
-                                    requestSize: requestSize,
-                                    responseSize: responseSize,
-                                    success: response.ok,
-                                    errorMessage: response.ok ? null : response.statusText
-                                };
-                                sendToNative('apiCall', data);
-                            } catch (logError) {
-                                console.error("WebViewAPM Agent: Error logging in fetch then block:", logError);
-                            }
-                            return response; // 返回原始 response
-                        })
-                        .catch(error => {
-                            try { // 内层 try-catch
-                                const duration = performance.now() - startTime;
-                                const data = {
-                                    timestamp: getTimestamp(),
-                                    url: url,
-                                    method: method,
-                                    startTime: startTime,
-                                    duration: duration,
-                                    statusCode: null,
-                                    requestSize: requestSize,
-                                    responseSize: null,
-                                    success: false,
-                                    errorMessage: error.message || 'Fetch Failed'
-                                };
-                                sendToNative('apiCall', data);
-                            } catch (logError) {
-                                console.error("WebViewAPM Agent: Error logging in fetch catch block:", logError);
-                            }
-                            throw error; // 重新抛出错误，不破坏 Promise 链
-                        });
-                };
+        setUser(user) {
+            userContext.user = user && typeof user === 'object' ? Object.assign({}, user) : null;
+        },
+
+        setTag(key, value) {
+            if (!key) return;
+            if (value === undefined || value === null) {
+                delete userContext.tags[key];
+            } else {
+                userContext.tags[key] = value;
+            }
+        },
+
+        setContext(name, context) {
+            if (!name) return;
+            if (context === undefined || context === null) {
+                delete userContext.extra[name];
+            } else {
+                userContext.extra[name] = context;
+            }
+        },
+
+        // 注册自定义传输方式：send(message) 发送失败时应抛出异常，可选的 isAvailable() 返回当前是否可用
+        registerTransport(name, transport) {
+            if (!name || !transport || typeof transport.send !== 'function') {
+                console.error("WebViewAPM Agent: registerTransport requires a name and a transport with send(message).");
+                return;
+            }
+            if (BUILTIN_TRANSPORT_NAMES.includes(name)) {
+                console.error("WebViewAPM Agent: registerTransport cannot replace built-in transport:", name);
+                return;
+            }
+            transports[name] = transport;
+            if (offlineBuffer.length > 0) replayOfflineBuffer();
+        }
+    };
+
+    // --- 初始化执行 ---
+    const COLLECTOR_INSTALLERS = {
+        jsError: captureJSErrors,
+        resourceError: captureResourceErrors,
+        api: captureApiCalls,
+        webSocket: captureWebSockets,
+        eventSource: captureEventSources,
+        spa: captureSPANavigation,
+        lifecycle: captureLifecycle,
+        longTask: captureLongTasks,
+        runtime: captureRuntimeSamples,
+        interaction: captureInteractions,
+        webVitals: captureWebVitals,
+        resource: captureResourceLoadMetrics,
+        userTiming: captureUserTiming,
+        pageLoad: () => {
+            // 页面加载数据需要在 load 事件后捕获
+            // 使用 setTimeout 稍微延迟执行，确保 loadEventEnd 已记录
+            if (document.readyState === 'complete') {
+                setTimeout(capturePageLoadMetrics, 0);
+            } else {
+                addAgentListener(window, 'load', () => {
+                    setTimeout(capturePageLoadMetrics, 0);
+                }, { once: true });
+            }
+        }
+    };
+    const installedCollectors = new Set();
+    let agentInitialized = false;
+
+    // 每个采集器只安装一次；关闭的采集器不安装，运行中开启时再安装
+    function installCollector(name) {
+        if (agentTornDown || installedCollectors.has(name) || !isCollectorEnabled(name)) return;
+        installedCollectors.add(name);
+        COLLECTOR_INSTALLERS[name]();
+    }
+
+    // 通过 window.__WEBVIEW_APM_AGENT__.updateConfig 供 Native 调用，token 与注入的 CONTROL_TOKEN 不一致时拒绝
+    function updateConfig(token, partialConfig) {
+        if (agentTornDown) return;
+        if (!isValidControlToken(token)) {
+            console.warn("WebViewAPM Agent: Rejected config update without a valid token.");
+            return;
+        }
+        try {
+            forEachChildFrameAgent(agent => agent.updateConfig && agent.updateConfig(token, partialConfig));
+            mergeConfig(agentConfig, partialConfig);
+            // 初始化完成后才安装新开启的采集器，避免在 DOM Ready 之前安装
+            if (agentInitialized) {
+                Object.keys(COLLECTOR_INSTALLERS).forEach(installCollector);
             }
+            console.log("WebViewAPM Agent: Config updated.");
         } catch (e) {
-            console.error("WebViewAPM Agent: Error setting up API call capture:", e);
+            console.error("WebViewAPM Agent: Error updating config:", e);
         }
     }
 
-    // --- SPA (Single Page Application) Navigation Monitoring Placeholder (Checklist Item 5 - SPA Placeholder) ---
-    function captureSPANavigation() {
-        // TODO: Implement SPA navigation tracking.
-        // This typically involves listening to 'popstate' and 'hashchange' events.
-        // You might also need to wrap 'history.pushState' and 'history.replaceState'.
-        // When a navigation occurs, you might want to:
-        // 1. Send a 'pageView' or 'navigation' event similar to pageLoad.
-        // 2. Reset or re-evaluate resource timings if needed for the new view.
-        // Example listeners (add error handling):
-        /*
-        window.addEventListener('popstate', function(event) {
-            console.log('APM SPA: popstate detected', window.location.href, event.state);
-            sendToNative('spaNavigation', { timestamp: getTimestamp(), url: window.location.href });
-        });
-        window.addEventListener('hashchange', function(event) {
-            console.log('APM SPA: hashchange detected', window.location.href);
-            sendToNative('spaNavigation', { timestamp: getTimestamp(), url: window.location.href });
-        });
-        const originalPushState = history.pushState;
-        history.pushState = function() {
-            originalPushState.apply(this, arguments);
-            console.log('APM SPA: pushState detected', window.location.href);
-            sendToNative('spaNavigation', { timestamp: getTimestamp(), url: window.location.href });
-        };
-        */
+    // 卸载 Agent：发送剩余记录，恢复被替换的全局方法，移除事件监听、Observer 与定时器
+    // 由 Native 分离 WebView 时调用 (window.__WEBVIEW_APM_AGENT__.teardown())，或在新版本 Agent 接管页面时调用
+    function teardown() {
+        if (agentTornDown) return;
+        try {
+            // 先卸载同源子 frame，其剩余记录转交到当前 frame 的队列后随下面的 flushAll 一起发送
+            forEachChildFrameAgent(agent => {
+                try {
+                    agent.teardown();
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error tearing down child frame agent:", e);
+                }
+            });
+            // 按安装的相反顺序执行；结束进行中的软导航与交互时产生的记录仍会随下面的 flushAll 发送
+            teardownTasks.splice(0).reverse().forEach(task => {
+                try {
+                    task();
+                } catch (e) {
+                    console.error("WebViewAPM Agent: Error running teardown task:", e);
+                }
+            });
+            flushAll();
+        } finally {
+            agentTornDown = true;
+            if (window.WebViewAPM === publicApi) delete window.WebViewAPM;
+            console.log("WebViewAPM Agent: Torn down.");
+        }
     }
 
-    // --- 初始化执行 ---
     function initAgent() {
         try {
             console.log("WebViewAPM Agent Initializing...");
-            captureJSErrors();
-            captureApiCalls();
-            captureSPANavigation();
-
-            // 页面加载和资源数据需要在文档加载的不同阶段捕获
-            // 使用 setTimeout 稍微延迟执行，确保基础环境设置完毕
-            // load 事件后捕获 PageLoad 和 Resource
-            window.addEventListener('load', () => {
-                setTimeout(capturePageLoadMetrics, 0);
-                setTimeout(captureResourceLoadMetrics, 50); // 稍微延迟，等待可能的后续资源加载
-            }, { once: true });
+            agentInitialized = true;
+            installCollector('jsError');
+            installCollector('resourceError');
+            installCollector('api');
+            installCollector('webSocket');
+            installCollector('eventSource');
+            installCollector('longTask');
+            installCollector('spa');
+            installCollector('lifecycle');
+            installCollector('webVitals');
+            installCollector('resource');
+            installCollector('pageLoad');
+            installCollector('runtime');
+            installCollector('interaction');
+            installCollector('userTiming');
+            resolveReady(publicApi);
 
             console.log("WebViewAPM Agent Initialized.");
         } catch (e) {
@@ -526,12 +3866,23 @@
     }
 
     // --- 启动 ---
+    window.WebViewAPM = publicApi;
+
+    if (getAvailableTransports().length === 0) {
+        console.warn("WebViewAPM Agent: No transport available for handler " + MESSAGE_HANDLER_NAME + ", records will be buffered until one becomes available.");
+    }
+    restoreOfflineBatches();
+
     // 确保 DOM Ready 后再执行某些初始化，但错误和 API 监控需要尽早开始
     if (document.readyState === 'loading') {
         // 尽早开始错误和 API 捕获
-        captureJSErrors();
-        captureApiCalls();
-        document.addEventListener('DOMContentLoaded', initAgent, { once: true });
+        installCollector('jsError');
+        installCollector('resourceError');
+        installCollector('api');
+        installCollector('webSocket');
+        installCollector('eventSource');
+        installCollector('longTask'); // 加载期间的长任务同样计入 TBT
+        addAgentListener(document, 'DOMContentLoaded', initAgent, { once: true });
     } else {
         // 如果已经 ready 或 complete
         initAgent();